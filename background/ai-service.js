@@ -1,67 +1,92 @@
 /**
- * AI Service Module for Google Gemini API interactions
- * Contains text-to-speech and speech-to-text functionality
+ * AI Service Module for interviewer AI interactions
+ * Contains chat, text-to-speech and speech-to-text functionality, each served
+ * by the provider configured for it (see ./providers) through the request
+ * layer's timeouts and retries
  */
 
-import { GoogleGenAI } from "https://cdn.jsdelivr.net/npm/@google/genai@1.21.0/+esm";
-import { enhanceApiError } from "./utilities.js";
-import { getFromStorage, setInStorage } from "../shared/chorme-storage.js";
-// API Configuration
-const TTS_MODEL = "gemini-2.5-flash-preview-tts";
-const STT_MODEL = "gemini-2.5-flash";
-const DEFAULT_VOICE = "Kore"; // Default voice if none selected
-const MODEL = "gemini-2.5-flash"; // Default text model
+import { enhanceApiError, createSilentWavBase64 } from "./utilities.js";
+import { setInStorage } from "../shared/chorme-storage.js";
+import { getProvider } from "./providers/index.js";
+import { buildContextWindow, fitContextWindow } from "./context-window.js";
+import { runAIRequest } from "./request-layer.js";
+import { describeHintUsage } from "../shared/hint-ladder.js";
+import { describeCodeEvolution } from "../shared/code-history.js";
+import { NEXT_PHASE_TAG } from "../shared/interview-plan.js";
+import {
+  getSession,
+  getActiveSession,
+  updateSession,
+} from "../shared/session-store.js";
+
+// Rubric used to grade a finished interview
+const SCORECARD_CATEGORIES = [
+  { id: "problemUnderstanding", name: "Problem Understanding" },
+  { id: "approach", name: "Approach" },
+  { id: "codeQuality", name: "Code Quality" },
+  { id: "complexityAnalysis", name: "Complexity Analysis" },
+  { id: "testing", name: "Testing" },
+  { id: "communication", name: "Communication" },
+];
+
+// JSON schema the scorecard reply must follow
+const SCORECARD_SCHEMA = {
+  type: "object",
+  properties: {
+    overallScore: { type: "number", minimum: 1, maximum: 5 },
+    verdict: {
+      type: "string",
+      enum: ["Strong Hire", "Hire", "Lean Hire", "Lean No Hire", "No Hire"],
+    },
+    summary: { type: "string" },
+    categories: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: {
+            type: "string",
+            enum: SCORECARD_CATEGORIES.map((category) => category.id),
+          },
+          score: { type: "integer", minimum: 1, maximum: 5 },
+          justification: { type: "string" },
+          improvements: {
+            type: "array",
+            items: { type: "string" },
+          },
+        },
+        required: ["id", "score", "justification", "improvements"],
+      },
+    },
+  },
+  required: ["overallScore", "verdict", "summary", "categories"],
+};
 
 /**
- * Converts text to speech using Google's Gemini AI Text-to-Speech model
+ * Converts text to speech with the configured text-to-speech provider
  * @param {string} text - The text to convert to speech
- * @returns {Promise<Blob>} A promise that resolves to an audio blob (WAV format)
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Request scope the call can be cancelled by
+ * @returns {Promise<string>} Base64 encoded 24kHz 16-bit mono PCM audio
  * @throws {Error} When API call fails or invalid response received
  */
-export async function textToSpeech(text) {
+export async function textToSpeech(text, { scope } = {}) {
   if (!text || typeof text !== "string") {
     throw new Error("Text parameter must be a non-empty string");
   }
 
   try {
-    const genai = new GoogleGenAI({
-      apiKey: (await getFromStorage("apiKey")) || undefined,
-    });
-
-    const response = await genai.models.generateContent({
-      model: TTS_MODEL,
-      contents: {
-        role: "user",
-        parts: [
-          {
-            text: "Please say this: " + text + " in a clear and natural voice.",
-          },
-        ],
-      },
-      config: {
-        responseModalities: ["AUDIO"],
-        speechConfig: {
-          voiceConfig: {
-            prebuiltVoiceConfig: {
-              voiceName: (await getFromStorage("voiceName")) || DEFAULT_VOICE,
-            },
-          },
-        },
-      },
-    });
+    const provider = await getProvider("tts");
+    const audioData = await runAIRequest(
+      "Text-to-speech",
+      (signal) => provider.textToSpeech(text, { signal }),
+      { timeoutMs: 45 * 1000, scope }
+    );
 
-    // Validate API response structure
-    if (!response || !response.candidates || !response.candidates[0]) {
-      throw new Error("API did not return any candidates");
-    }
-    const candidate = response.candidates[0];
-    const part = candidate.content.parts[0];
-    if (!part.inlineData || !part.inlineData.data) {
+    if (!audioData) {
       throw new Error("API did not return audio data");
     }
 
-    const audioData = part.inlineData.data;
-
     return audioData;
   } catch (error) {
     console.error("Text-to-speech conversion failed:", error);
@@ -70,55 +95,30 @@ export async function textToSpeech(text) {
 }
 
 /**
- * Converts speech audio to text using Google's Gemini AI model
+ * Converts speech audio to text with the configured speech-to-text provider
  * @param {string} audioBase64 - Base64 encoded audio data
  * @param {string} [mimeType="audio/wav"] - MIME type of the audio (e.g., "audio/wav", "audio/mp3")
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Request scope the call can be cancelled by
  * @returns {Promise<string>} A promise that resolves to the transcribed text
  * @throws {Error} When API call fails or no text could be extracted
  */
-export async function speechToText(audioBase64, mimeType = "audio/wav") {
+export async function speechToText(
+  audioBase64,
+  mimeType = "audio/wav",
+  { scope } = {}
+) {
   if (!audioBase64 || typeof audioBase64 !== "string") {
     throw new Error("Audio data parameter must be a non-empty base64 string");
   }
 
   try {
-    const genai = new GoogleGenAI({
-      apiKey: (await getFromStorage("apiKey")) || undefined,
-    });
-
-    const response = await genai.models.generateContent({
-      model: STT_MODEL,
-      contents: {
-        role: "user",
-        parts: [
-          {
-            text: "Tell me what this audio exactly says. Do not add any extra words from you. The response must only contain what the audio says.",
-          },
-          {
-            inlineData: {
-              data: audioBase64,
-              mimeType: mimeType,
-            },
-          },
-        ],
-      },
-    });
-
-    // Validate API response structure
-    if (!response || !response.candidates || !response.candidates[0]) {
-      throw new Error("API did not return any candidates");
-    }
-
-    const candidate = response.candidates[0];
-    if (
-      !candidate.content ||
-      !candidate.content.parts ||
-      !candidate.content.parts[0]
-    ) {
-      return "";
-    }
-
-    const text = candidate.content.parts[0].text;
+    const provider = await getProvider("stt");
+    const text = await runAIRequest(
+      "Speech-to-text",
+      (signal) => provider.speechToText(audioBase64, mimeType, { signal }),
+      { timeoutMs: 45 * 1000, scope }
+    );
 
     if (!text || typeof text !== "string" || text.trim().length === 0) {
       throw new Error("No text could be extracted from the audio");
@@ -132,43 +132,282 @@ export async function speechToText(audioBase64, mimeType = "audio/wav") {
 }
 
 /**
- * Handles and displays error messages to the user
- * @param {string} message - The error message to display
+ * Converts stored history to the turns sent to the chat provider
+ * Interrupted replies are cut to what the candidate actually heard
+ * @param {Array} history - The session history
+ * @returns {Array<{role: string, text: string}>} The provider conversation
  */
+function toProviderHistory(history) {
+  return history.map((entry) => ({
+    role: entry.role,
+    text: entry.interrupted
+      ? `${entry.spokenText} [The candidate interrupted you here; the rest of this reply was not heard.]`
+      : entry.text,
+  }));
+}
 
-export async function sendPromptAndHandleHistory(prompt) {
-  let history = await getFromStorage("conversationHistory");
-  if (!Array.isArray(history)) {
-    history = [];
+/**
+ * Sends a prompt to the interviewer model within a session's conversation
+ * Long conversations are sent as the setup prompt, a running summary and
+ * the latest turns, while the stored history keeps every turn
+ * @param {string} prompt - The user message
+ * @param {string} [sessionId] - The session to use, defaults to the active session
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Request scope the calls can be cancelled by
+ * @returns {Promise<{text: string, nextPhase: boolean}>} The AI response text,
+ *   and whether it asked to move to the next interview phase
+ * @throws {Error} When there is no session or the API call fails
+ */
+export async function sendPromptAndHandleHistory(
+  prompt,
+  sessionId,
+  { scope } = {}
+) {
+  const session = sessionId
+    ? await getSession(sessionId)
+    : await getActiveSession();
+  if (!session) {
+    throw new Error("No active interview session");
   }
 
-  history.push({ role: "user", text: prompt });
+  const userTurn = {
+    role: "user",
+    text: prompt,
+    timestamp: new Date().toISOString(),
+  };
+  const history = [...session.history, userTurn];
 
   try {
-    const genai = new GoogleGenAI({
-      apiKey: (await getFromStorage("apiKey")) || undefined,
-    });
+    const provider = await getProvider("chat");
+    const turns = toProviderHistory(history);
+    const contextSummary = await fitContextWindow(
+      turns,
+      session.contextSummary || null,
+      (conversation) =>
+        runAIRequest(
+          "Conversation summary",
+          (signal) => provider.chat(conversation, { signal }),
+          { scope }
+        )
+    );
+    const aiText = await runAIRequest(
+      "AI response",
+      (signal) =>
+        provider.chat(buildContextWindow(turns, contextSummary), { signal }),
+      { scope }
+    );
+
+    // The phase marker is an instruction to the extension, not part of the reply
+    const nextPhase = aiText.includes(NEXT_PHASE_TAG);
+    const text = aiText.split(NEXT_PHASE_TAG).join("").trim();
 
-    const response = await genai.models.generateContent({
-      model: MODEL,
-      contents: history.map((entry) => ({
-        role: entry.role,
-        parts: [{ text: entry.text }],
-      })),
-    });
+    // Append to the stored history, which may have changed during the request
+    const modelTurn = {
+      role: "model",
+      text,
+      timestamp: new Date().toISOString(),
+    };
+    await updateSession(session.id, (current) => ({
+      history: [...current.history, userTurn, modelTurn],
+      contextSummary,
+    }));
+
+    return { text, nextPhase };
+  } catch (error) {
+    console.error("Failed to get AI response:", error);
+    throw enhanceApiError(error, "AI response");
+  }
+}
+
+/**
+ * Grades a session's interview conversation against the scorecard rubric
+ * The result is saved on the session as its "scorecard"
+ * @param {string} sessionId - The session to grade
+ * @returns {Promise<Object>} The scorecard with overall and per-category results
+ * @throws {Error} When there is no interview to grade or the API call fails
+ */
+export async function generateScorecard(sessionId) {
+  const session = await getSession(sessionId);
+  const history = session ? session.history : [];
+  if (history.length < 3) {
+    throw new Error("Not enough conversation to grade the interview");
+  }
 
-    const candidate = response.candidates[0];
+  // The first entry is the interviewer setup prompt, not a candidate answer
+  const transcript = history
+    .slice(1)
+    .map(
+      (entry) =>
+        `${entry.role === "model" ? "Interviewer" : "Candidate"}: ${entry.text}`
+    )
+    .join("\n\n");
 
-    const aiText = candidate.content.parts[0].text;
+  const timeline = describePhaseTimeline(session);
 
-    // Update conversation history
-    history.push({ role: "model", text: aiText.trim() });
+  const rubric = SCORECARD_CATEGORIES.map(
+    (category) => `- ${category.id}: ${category.name}`
+  ).join("\n");
 
-    await setInStorage("conversationHistory", history);
+  const prompt = `
+    You are a senior coding interviewer writing the evaluation of a mock interview.
+    The setup of the interview was: ${history[0].text}
 
-    return aiText.trim();
+    Grade the candidate on each rubric category with a score from 1 (poor) to 5 (excellent):
+    ${rubric}
+
+    For every category give a written justification that cites what the candidate actually said or wrote,
+    and concrete, actionable improvement tips. Categories that were never exercised should get a low score
+    and say so in the justification. Also give an overall score on the same 1 to 5 scale (decimals allowed),
+    a hiring verdict and a short summary.
+
+    Time spent per interview phase (use it when judging pace and communication):
+    ${timeline}
+
+    Hints the candidate asked for, from a nudge up to pseudocode (weigh them when judging problem solving):
+    ${describeHintUsage(session)}
+
+    How the code in the editor changed over time (use it to tell a clean, steady solution from flailing):
+    ${describeCodeEvolution(session)}
+
+    Interview transcript:
+    ${transcript}
+  `;
+
+  try {
+    const provider = await getProvider("chat");
+    const responseText = await runAIRequest(
+      "Scorecard generation",
+      (signal) =>
+        provider.chat([{ role: "user", text: prompt }], {
+          responseSchema: SCORECARD_SCHEMA,
+          signal,
+        }),
+      { timeoutMs: 2 * 60 * 1000 }
+    );
+
+    const result = JSON.parse(responseText);
+    const gradedCategories = Array.isArray(result.categories)
+      ? result.categories
+      : [];
+
+    const scorecard = {
+      overallScore: result.overallScore,
+      verdict: result.verdict,
+      summary: result.summary,
+      categories: SCORECARD_CATEGORIES.map((category) => {
+        const graded =
+          gradedCategories.find((item) => item.id === category.id) || {};
+        return {
+          id: category.id,
+          name: category.name,
+          score: graded.score || 0,
+          justification: graded.justification || "Not evaluated.",
+          improvements: graded.improvements || [],
+        };
+      }),
+      generatedAt: new Date().toISOString(),
+    };
+
+    await updateSession(sessionId, { scorecard });
+
+    return scorecard;
   } catch (error) {
-    console.error("Failed to get AI response:", error);
-    throw enhanceApiError(error, "AI response");
+    console.error("Scorecard generation failed:", error);
+    throw enhanceApiError(error, "Scorecard generation");
+  }
+}
+
+/**
+ * Summarizes how long each interview phase took against its budget
+ * @param {Object} session - The session with its plan and phase log
+ * @returns {string} One line per phase entered, or a note when untimed
+ */
+function describePhaseTimeline(session) {
+  if (!session.plan || !session.phaseLog) {
+    return "The interview was not timed.";
   }
+
+  return session.phaseLog
+    .map((entry) => {
+      const phase = session.plan.find((item) => item.id === entry.phaseId);
+      const end = entry.endedAt || session.endedAt || session.updatedAt;
+      const minutes = (Date.parse(end) - Date.parse(entry.startedAt)) / 60000;
+      return `- ${phase.name}: ${minutes.toFixed(1)} min of ${
+        phase.minutes
+      } min budget${entry.overrunAt ? " (overran)" : ""}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Marks a session's last AI reply as interrupted by the candidate
+ * @param {string} sessionId - The session id
+ * @param {string} spokenText - The part of the reply that was actually spoken
+ * @returns {Promise<void>}
+ * @throws {Error} When the session does not exist or has no AI reply last
+ */
+export async function recordInterruption(sessionId, spokenText) {
+  await updateSession(sessionId, (current) => {
+    const history = current.history.slice();
+    const lastReply = history[history.length - 1];
+    if (!lastReply || lastReply.role !== "model") {
+      throw new Error("No AI reply to interrupt");
+    }
+
+    history[history.length - 1] = {
+      ...lastReply,
+      interrupted: true,
+      spokenText: spokenText || "",
+    };
+    return { history };
+  });
+}
+
+/**
+ * Checks chat, text-to-speech and speech-to-text separately with the current
+ * settings and saves the result to the "connectionStatus" storage key
+ * @returns {Promise<Object>} Per-capability results and the time of the check
+ */
+export async function checkConnection() {
+  const probes = {
+    chat: (provider) =>
+      provider.chat([{ role: "user", text: "Reply with the word OK." }]),
+    tts: (provider) => provider.textToSpeech("OK"),
+    stt: (provider) =>
+      provider.speechToText(createSilentWavBase64(), "audio/wav", {
+        probe: true,
+      }),
+  };
+  const operations = {
+    chat: "AI response",
+    tts: "Text-to-speech",
+    stt: "Speech-to-text",
+  };
+
+  const results = {};
+  for (const capability of Object.keys(probes)) {
+    let provider = null;
+    let model = null;
+
+    try {
+      provider = await getProvider(capability);
+      model = await provider.getModelName(capability);
+      await probes[capability](provider);
+      results[capability] = { ok: true, provider: provider.id, model };
+    } catch (error) {
+      console.warn(`Connection check failed for ${capability}:`, error);
+      const enhanced = enhanceApiError(error, operations[capability]);
+      results[capability] = {
+        ok: false,
+        provider: provider ? provider.id : null,
+        model,
+        error: enhanced.message,
+        code: enhanced.code,
+      };
+    }
+  }
+
+  const status = { ...results, checkedAt: new Date().toISOString() };
+  await setInStorage("connectionStatus", status);
+  return status;
 }
@@ -7,7 +7,31 @@ import {
   textToSpeech,
   speechToText,
   sendPromptAndHandleHistory,
+  generateScorecard,
+  recordInterruption,
+  checkConnection,
 } from "./ai-service.js";
+import {
+  createSession,
+  getSession,
+  getActiveSession,
+  endSession,
+} from "../shared/session-store.js";
+import {
+  NEXT_PHASE_TAG,
+  startInterviewPlan,
+  advancePhase,
+  recordPhaseOverrun,
+} from "../shared/interview-plan.js";
+import {
+  getAudioSettings,
+  saveClip,
+  enforceAudioLimit,
+} from "../shared/audio-store.js";
+import { getNextHint, recordHint } from "../shared/hint-ladder.js";
+import { addCodeSnapshot } from "../shared/code-history.js";
+import { base64ToBlob } from "./utilities.js";
+import { cancelAIRequests } from "./request-layer.js";
 
 /**
  * Main message listener for handling requests from content scripts
@@ -23,22 +47,81 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     switch (request.action) {
       case "textToSpeech":
-        handleTextToSpeech(request, sendResponse);
+        handleTextToSpeech(request, sender, sendResponse);
         return true;
 
       case "speechToText":
-        handleSpeechToText(request, sendResponse);
+        handleSpeechToText(request, sender, sendResponse);
         return true;
 
       case "sendChatMessage":
-        handleChatMessage(request, sendResponse);
+        handleChatMessage(request, sender, sendResponse);
+        return true;
+
+      case "generateScorecard":
+        handleGenerateScorecard(request, sendResponse);
+        return true;
+
+      case "checkConnection":
+        handleCheckConnection(sendResponse);
+        return true;
+
+      case "recordInterruption":
+        handleRecordInterruption(request, sendResponse);
+        return true;
+
+      case "startSession":
+        handleStartSession(request, sendResponse);
+        return true;
+
+      case "getActiveSession":
+        handleGetActiveSession(sendResponse);
+        return true;
+
+      case "getSession":
+        handleGetSession(request, sendResponse);
+        return true;
+
+      case "endSession":
+        handleEndSession(request, sendResponse);
+        return true;
+
+      case "advancePhase":
+        handleAdvancePhase(request, sendResponse);
+        return true;
+
+      case "recordPhaseOverrun":
+        handleRecordPhaseOverrun(request, sendResponse);
+        return true;
+
+      case "saveTurnAudio":
+        handleSaveTurnAudio(request, sendResponse);
+        return true;
+
+      case "getNextHint":
+        handleGetNextHint(request, sendResponse);
+        return true;
+
+      case "recordHint":
+        handleRecordHint(request, sendResponse);
+        return true;
+
+      case "saveCodeSnapshot":
+        handleSaveCodeSnapshot(request, sendResponse);
         return true;
 
+      case "cancelRequests":
+        sendResponse({
+          success: true,
+          cancelled: cancelAIRequests(getRequestScope(sender, request.scope)),
+        });
+        return false;
+
       default:
         console.warn("Unknown action requested:", request.action);
         sendResponse({
           success: false,
-          error: `Unknown action: ${request.action}. Supported actions: textToSpeech, speechToText`,
+          error: `Unknown action: ${request.action}. Supported actions: textToSpeech, speechToText, sendChatMessage, generateScorecard, checkConnection, recordInterruption, startSession, getActiveSession, getSession, endSession, advancePhase, recordPhaseOverrun, saveTurnAudio, getNextHint, recordHint, saveCodeSnapshot, cancelRequests`,
         });
         return false;
     }
@@ -52,12 +135,52 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+/**
+ * Forwards keyboard commands, with the keys bound to them, to the content
+ * script of the tab they were pressed in
+ * Tabs without the interviewer (any page but a problem page) ignore them
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const [target] = tab
+    ? [tab]
+    : await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!target) return;
+
+  const commands = await chrome.commands.getAll();
+  const { shortcut } = commands.find((item) => item.name === command) || {};
+
+  try {
+    await chrome.tabs.sendMessage(target.id, {
+      action: "shortcut",
+      command,
+      shortcut,
+    });
+  } catch (error) {
+    console.warn(`Shortcut "${command}" ignored, no interviewer on this tab`);
+  }
+});
+
+/**
+ * Gets the request scope of calls started by a message
+ * Calls from a tab are scoped to it so its interview can cancel them, while
+ * calls from the popup are left unscoped
+ * @param {Object} sender - The message sender
+ * @param {string} [kind] - Sub-scope such as "tts", or none for the whole tab
+ * @returns {string|null} The scope, or null outside a tab
+ */
+function getRequestScope(sender, kind) {
+  if (!sender.tab) return null;
+  const tabScope = `tab-${sender.tab.id}`;
+  return kind ? `${tabScope}/${kind}` : tabScope;
+}
+
 /**
  * Handles text-to-speech requests
  * @param {Object} request - The request object containing text
+ * @param {Object} sender - The message sender
  * @param {Function} sendResponse - Function to send response back
  */
-async function handleTextToSpeech(request, sendResponse) {
+async function handleTextToSpeech(request, sender, sendResponse) {
   if (!request.text || typeof request.text !== "string") {
     sendResponse({
       success: false,
@@ -67,7 +190,9 @@ async function handleTextToSpeech(request, sendResponse) {
   }
 
   try {
-    const audioData = await textToSpeech(request.text);
+    const audioData = await textToSpeech(request.text, {
+      scope: getRequestScope(sender, "tts"),
+    });
 
     sendResponse({
       success: true,
@@ -79,6 +204,8 @@ async function handleTextToSpeech(request, sendResponse) {
     sendResponse({
       success: false,
       error: error.message || "Text to speech failed",
+      code: error.code || "UNKNOWN",
+      retryable: Boolean(error.retryable),
     });
   }
 }
@@ -86,9 +213,10 @@ async function handleTextToSpeech(request, sendResponse) {
 /**
  * Handles speech-to-text requests
  * @param {Object} request - The request object containing audio data
+ * @param {Object} sender - The message sender
  * @param {Function} sendResponse - Function to send response back
  */
-async function handleSpeechToText(request, sendResponse) {
+async function handleSpeechToText(request, sender, sendResponse) {
   // Validate audio parameters
   if (!request.audioBlob) {
     sendResponse({
@@ -99,7 +227,9 @@ async function handleSpeechToText(request, sendResponse) {
   }
 
   try {
-    const text = await speechToText(request.audioBlob, request.mimeType);
+    const text = await speechToText(request.audioBlob, request.mimeType, {
+      scope: getRequestScope(sender, "stt"),
+    });
 
     if (!text) {
       throw new Error("No text could be extracted from audio");
@@ -115,6 +245,8 @@ async function handleSpeechToText(request, sendResponse) {
     sendResponse({
       success: false,
       error: error.message || "Speech to text failed",
+      code: error.code || "UNKNOWN",
+      retryable: Boolean(error.retryable),
     });
   }
 }
@@ -122,20 +254,347 @@ async function handleSpeechToText(request, sendResponse) {
 /**
  * Handles chat message requests from popup
  * @param {Object} request - The request object containing chat message
+ * @param {Object} sender - The message sender
  * @param {Function} sendResponse - Function to send response back
  */
-async function handleChatMessage(request, sendResponse) {
+async function handleChatMessage(request, sender, sendResponse) {
   try {
-    const text = await sendPromptAndHandleHistory(request.message);
+    const { text, nextPhase } = await sendPromptAndHandleHistory(
+      request.message,
+      request.sessionId,
+      { scope: getRequestScope(sender, "chat") }
+    );
     sendResponse({
       success: true,
       text,
+      nextPhase,
     });
   } catch (error) {
     console.error("Error in handleChatMessage:", error);
     sendResponse({
       success: false,
       error: error.message || "Chat message processing failed",
+      code: error.code || "UNKNOWN",
+      retryable: Boolean(error.retryable),
+    });
+  }
+}
+
+/**
+ * Handles scorecard requests sent when an interview ends
+ * @param {Object} request - The request object containing the session id
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleGenerateScorecard(request, sendResponse) {
+  try {
+    const scorecard = await generateScorecard(request.sessionId);
+    sendResponse({
+      success: true,
+      scorecard,
+    });
+  } catch (error) {
+    console.error("Error in generateScorecard:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Scorecard generation failed",
+      code: error.code || "UNKNOWN",
+      retryable: Boolean(error.retryable),
+    });
+  }
+}
+
+/**
+ * Gets the interview session a content script message is about
+ * Each tab sends the id of the session it runs, since starting an interview
+ * in another tab makes a different session the active one
+ * @param {Object} request - The request object containing the session id
+ * @returns {Promise<Object>} The session
+ * @throws {Error} When the id is missing or the session does not exist
+ */
+async function getRequestSession(request) {
+  if (!request.sessionId) {
+    throw new Error("sessionId parameter is required");
+  }
+  const session = await getSession(request.sessionId);
+  if (!session) {
+    throw new Error("Interview session not found");
+  }
+  return session;
+}
+
+/**
+ * Handles requests to start a new interview session for a problem
+ * @param {Object} request - The request object containing the problem
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleStartSession(request, sendResponse) {
+  if (!request.problem || !request.problem.slug) {
+    sendResponse({
+      success: false,
+      error: "Problem parameter with a slug is required",
+    });
+    return;
+  }
+
+  try {
+    const created = await createSession(request.problem);
+    const session = await startInterviewPlan(created.id);
+    sendResponse({ success: true, session, nextPhaseTag: NEXT_PHASE_TAG });
+  } catch (error) {
+    console.error("Error in startSession:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to start interview session",
+    });
+  }
+}
+
+/**
+ * Handles requests for the currently active session
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleGetActiveSession(sendResponse) {
+  try {
+    const session = await getActiveSession();
+    sendResponse({ success: true, session });
+  } catch (error) {
+    console.error("Error in getActiveSession:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to read interview session",
+    });
+  }
+}
+
+/**
+ * Handles requests for a session by id
+ * @param {Object} request - The request object containing the session id
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleGetSession(request, sendResponse) {
+  try {
+    const session = await getRequestSession(request);
+    sendResponse({ success: true, session });
+  } catch (error) {
+    console.error("Error in getSession:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to read interview session",
+    });
+  }
+}
+
+/**
+ * Handles requests to end a session
+ * @param {Object} request - The request object containing the session id
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleEndSession(request, sendResponse) {
+  if (!request.sessionId) {
+    sendResponse({ success: false, error: "sessionId parameter is required" });
+    return;
+  }
+
+  try {
+    const session = await endSession(request.sessionId);
+    sendResponse({ success: true, session });
+  } catch (error) {
+    console.error("Error in endSession:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to end interview session",
+    });
+  }
+}
+
+/**
+ * Handles notices that the candidate interrupted the AI mid-reply
+ * @param {Object} request - The request object containing the spoken text
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleRecordInterruption(request, sendResponse) {
+  try {
+    await recordInterruption(request.sessionId, request.spokenText);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error("Error in recordInterruption:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to record interruption",
+    });
+  }
+}
+
+/**
+ * Handles requests to move a session to its next interview phase
+ * @param {Object} request - The request object containing the session id
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleAdvancePhase(request, sendResponse) {
+  try {
+    const { id } = await getRequestSession(request);
+    const session = await advancePhase(id);
+    sendResponse({ success: true, session });
+  } catch (error) {
+    console.error("Error in advancePhase:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to advance interview phase",
+    });
+  }
+}
+
+/**
+ * Handles notices that a session's phase ran over its budget
+ * @param {Object} request - The request object containing the session id
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleRecordPhaseOverrun(request, sendResponse) {
+  try {
+    const { id } = await getRequestSession(request);
+    const session = await recordPhaseOverrun(id);
+    sendResponse({ success: true, session });
+  } catch (error) {
+    console.error("Error in recordPhaseOverrun:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to record phase overrun",
+    });
+  }
+}
+
+/**
+ * Handles hint lookups, returning the ladder level of the next hint
+ * @param {Object} request - The request object containing the session id and
+ *   the persona hint policy
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleGetNextHint(request, sendResponse) {
+  try {
+    const session = await getRequestSession(request);
+    sendResponse({
+      success: true,
+      hint: getNextHint(session, request.hintPolicy),
+    });
+  } catch (error) {
+    console.error("Error in getNextHint:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to get the next hint",
+    });
+  }
+}
+
+/**
+ * Handles hint records, climbing a session's hint ladder
+ * @param {Object} request - The request object containing the session id and
+ *   the persona hint policy
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleRecordHint(request, sendResponse) {
+  try {
+    const { id } = await getRequestSession(request);
+    const { session, hint } = await recordHint(id, request.hintPolicy);
+    sendResponse({ success: true, session, hint });
+  } catch (error) {
+    console.error("Error in recordHint:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to record hint",
+    });
+  }
+}
+
+/**
+ * Handles editor snapshots, storing them as diffs on their session
+ * @param {Object} request - The request object containing the session id, code, language and reason
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleSaveCodeSnapshot(request, sendResponse) {
+  if (typeof request.code !== "string" || !request.reason) {
+    sendResponse({
+      success: false,
+      error: "code and reason parameters are required",
+    });
+    return;
+  }
+
+  try {
+    const { id } = await getRequestSession(request);
+    const session = await addCodeSnapshot(id, request);
+    sendResponse({ success: true, saved: Boolean(session) });
+  } catch (error) {
+    console.error("Error in saveCodeSnapshot:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to save code snapshot",
+    });
+  }
+}
+
+/**
+ * Handles connection health checks requested by the popup
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleCheckConnection(sendResponse) {
+  try {
+    const status = await checkConnection();
+    sendResponse({ success: true, status });
+  } catch (error) {
+    console.error("Error in checkConnection:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Connection check failed",
+    });
+  }
+}
+
+/**
+ * Handles requests to keep the audio of a turn in its session
+ * The clip belongs to the latest turn of its role; nothing is stored
+ * unless audio recording is enabled
+ * @param {Object} request - The request with the session id, role, part, audioData and mimeType
+ * @param {Function} sendResponse - Function to send response back
+ */
+async function handleSaveTurnAudio(request, sendResponse) {
+  if (!request.audioData || !request.mimeType) {
+    sendResponse({
+      success: false,
+      error: "audioData and mimeType parameters are required",
+    });
+    return;
+  }
+
+  try {
+    const { enabled } = await getAudioSettings();
+    if (!enabled) {
+      sendResponse({ success: true, saved: false });
+      return;
+    }
+
+    const session = await getRequestSession(request);
+
+    const turnIndex = session.history
+      .map((entry) => entry.role)
+      .lastIndexOf(request.role);
+    if (turnIndex === -1) {
+      throw new Error(`No ${request.role} turn to attach audio to`);
+    }
+
+    await saveClip({
+      sessionId: session.id,
+      turnIndex,
+      role: request.role,
+      part: request.part || 0,
+      audio: base64ToBlob(request.audioData, request.mimeType),
+    });
+    await enforceAudioLimit(session.id);
+    sendResponse({ success: true, saved: true });
+  } catch (error) {
+    console.error("Error in saveTurnAudio:", error);
+    sendResponse({
+      success: false,
+      error: error.message || "Failed to save turn audio",
     });
   }
 }
@@ -0,0 +1,144 @@
+/**
+ * Context Window Module
+ * Keeps the conversation sent to the chat model within a token budget
+ *
+ * The setup prompt and the latest turns are always sent verbatim. Once the
+ * estimate goes over budget, older turns are folded into a running summary
+ * kept on the session as "contextSummary". The session history itself is
+ * never shortened, so exports and reviews still see every turn.
+ */
+
+// Estimated tokens the conversation may use before older turns are summarized
+const CONTEXT_TOKEN_BUDGET = 12000;
+
+// Latest turns always sent verbatim, an even number so the kept part starts
+// with an interviewer reply right after the setup prompt
+const RECENT_TURNS_KEPT = 10;
+
+// Rough size of a token in English text and code
+const CHARS_PER_TOKEN = 4;
+
+// Per-turn overhead of the provider's message framing
+const TOKENS_PER_TURN = 4;
+
+/**
+ * Estimates the tokens of a text without calling the model
+ * @param {string} text - The text
+ * @returns {number} The estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimates the tokens of a conversation
+ * @param {Array<{role: string, text: string}>} turns - The conversation
+ * @returns {number} The estimated token count
+ */
+export function estimateConversationTokens(turns) {
+  return turns.reduce(
+    (total, turn) => total + estimateTokens(turn.text) + TOKENS_PER_TURN,
+    0
+  );
+}
+
+/**
+ * Builds the conversation to send: the setup prompt carrying the running
+ * summary, followed by the turns the summary does not cover
+ * @param {Array<{role: string, text: string}>} turns - The full conversation, setup prompt first
+ * @param {{text: string, coveredTurns: number}|null} summary - The running summary
+ * @returns {Array<{role: string, text: string}>} The conversation to send
+ */
+export function buildContextWindow(turns, summary) {
+  if (!summary || turns.length === 0) {
+    return turns;
+  }
+
+  const [setup, ...rest] = turns;
+  return [
+    {
+      role: setup.role,
+      text: `${setup.text}
+
+[Interview so far] The earlier part of this interview is no longer shown turn by turn. Continue from this summary of it:
+${summary.text}`,
+    },
+    ...rest.slice(summary.coveredTurns),
+  ];
+}
+
+/**
+ * Asks the model to fold turns into the running summary
+ * @param {Function} chat - Sends a conversation to the chat model
+ * @param {string} previousSummary - The summary so far, empty at first
+ * @param {Array<{role: string, text: string}>} turns - The turns to fold in
+ * @returns {Promise<string>} The new summary
+ */
+async function summarizeTurns(chat, previousSummary, turns) {
+  const transcript = turns
+    .map(
+      (turn) =>
+        `${turn.role === "model" ? "Interviewer" : "Candidate"}: ${turn.text}`
+    )
+    .join("\n\n");
+
+  const prompt = `
+    You keep the running notes of a mock coding interview, so the interviewer can continue it without the full transcript.
+    Rewrite the summary below so it also covers the new turns.
+    Keep the approaches discussed, the candidate's key answers and mistakes, hints given, how the code and test results evolved,
+    and any question the interviewer is still waiting on. Drop small talk.
+    Answer with concise bullet points only, at most 300 words.
+
+    Summary so far:
+    ${previousSummary || "(none yet)"}
+
+    New turns:
+    ${transcript}
+  `;
+
+  const summary = await chat([{ role: "user", text: prompt }]);
+  return summary.trim();
+}
+
+/**
+ * Folds older turns into the running summary when the conversation is over budget
+ * @param {Array<{role: string, text: string}>} turns - The full conversation, setup prompt first
+ * @param {{text: string, coveredTurns: number}|null} summary - The current summary
+ * @param {Function} chat - Sends a conversation to the chat model and resolves with the reply
+ * @returns {Promise<Object|null>} The summary to use, a new one when turns were folded
+ */
+export async function fitContextWindow(turns, summary, chat) {
+  const estimate = estimateConversationTokens(
+    buildContextWindow(turns, summary)
+  );
+  const covered = summary ? summary.coveredTurns : 0;
+
+  // Everything but the setup prompt and the latest turns may be folded
+  let cutoff = turns.length - 1 - RECENT_TURNS_KEPT;
+  cutoff -= cutoff % 2;
+  if (estimate <= CONTEXT_TOKEN_BUDGET || cutoff <= covered) {
+    return summary;
+  }
+
+  let text;
+  try {
+    text = await summarizeTurns(
+      chat,
+      summary ? summary.text : "",
+      turns.slice(1 + covered, 1 + cutoff)
+    );
+  } catch (error) {
+    if (error.code === "CANCELLED") {
+      throw error;
+    }
+    // Sending more than the budget beats failing the candidate's turn
+    console.warn("Failed to summarize the conversation:", error);
+    return summary;
+  }
+
+  return {
+    text,
+    coveredTurns: cutoff,
+    updatedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Gemini Provider
+ * Chat, text-to-speech and speech-to-text through the Google Gemini API
+ */
+
+import { GoogleGenAI } from "https://cdn.jsdelivr.net/npm/@google/genai@1.21.0/+esm";
+import { getFromStorage } from "../../shared/chorme-storage.js";
+import {
+  getVoiceSettings,
+  describeSpeechRate,
+} from "../../shared/voice-settings.js";
+
+// API Configuration
+const TTS_MODEL = "gemini-2.5-flash-preview-tts";
+const STT_MODEL = "gemini-2.5-flash";
+const MODEL = "gemini-2.5-flash"; // Default text model
+
+/**
+ * Creates a Gemini client with the stored API key
+ * @returns {Promise<GoogleGenAI>} The client
+ */
+async function createClient() {
+  return new GoogleGenAI({
+    apiKey: (await getFromStorage("apiKey")) || undefined,
+  });
+}
+
+/**
+ * Converts a JSON schema to the upper-case type names Gemini expects
+ * @param {Object} schema - A JSON schema
+ * @returns {Object} The Gemini response schema
+ */
+function toGeminiSchema(schema) {
+  const converted = { ...schema, type: schema.type.toUpperCase() };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [
+        key,
+        toGeminiSchema(value),
+      ])
+    );
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+  return converted;
+}
+
+/**
+ * Generates the next model reply for a conversation
+ * @param {Array<{role: string, text: string}>} history - The conversation so far
+ * @param {Object} [options]
+ * @param {Object} [options.responseSchema] - JSON schema the reply must follow
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} The reply text
+ */
+async function chat(history, { responseSchema, signal } = {}) {
+  const genai = await createClient();
+
+  const response = await genai.models.generateContent({
+    model: MODEL,
+    contents: history.map((entry) => ({
+      role: entry.role,
+      parts: [{ text: entry.text }],
+    })),
+    config: {
+      abortSignal: signal,
+      ...(responseSchema && {
+        responseMimeType: "application/json",
+        responseSchema: toGeminiSchema(responseSchema),
+      }),
+    },
+  });
+
+  if (!response || !response.candidates || !response.candidates[0]) {
+    throw new Error("API did not return any candidates");
+  }
+
+  return response.candidates[0].content.parts[0].text;
+}
+
+/**
+ * Converts text to speech with the selected Gemini prebuilt voice,
+ * steering pace and style through the prompt
+ * @param {string} text - The text to convert to speech
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} Base64 encoded 24kHz 16-bit mono PCM audio
+ */
+async function textToSpeech(text, { signal } = {}) {
+  const genai = await createClient();
+  const { voiceName, speechRate, speechStyle } = await getVoiceSettings();
+
+  const response = await genai.models.generateContent({
+    model: TTS_MODEL,
+    contents: {
+      role: "user",
+      parts: [
+        {
+          text: `Please say this ${describeSpeechRate(
+            speechRate
+          )} in a ${speechStyle} voice: ${text}`,
+        },
+      ],
+    },
+    config: {
+      abortSignal: signal,
+      responseModalities: ["AUDIO"],
+      speechConfig: {
+        voiceConfig: {
+          prebuiltVoiceConfig: {
+            voiceName,
+          },
+        },
+      },
+    },
+  });
+
+  // Validate API response structure
+  if (!response || !response.candidates || !response.candidates[0]) {
+    throw new Error("API did not return any candidates");
+  }
+  const candidate = response.candidates[0];
+  const part = candidate.content.parts[0];
+  if (!part.inlineData || !part.inlineData.data) {
+    throw new Error("API did not return audio data");
+  }
+
+  return part.inlineData.data;
+}
+
+/**
+ * Transcribes speech audio with Gemini
+ * @param {string} audioBase64 - Base64 encoded audio data
+ * @param {string} mimeType - MIME type of the audio
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} The transcribed text
+ */
+async function speechToText(audioBase64, mimeType, { signal } = {}) {
+  const genai = await createClient();
+
+  const response = await genai.models.generateContent({
+    model: STT_MODEL,
+    contents: {
+      role: "user",
+      parts: [
+        {
+          text: "Tell me what this audio exactly says. Do not add any extra words from you. The response must only contain what the audio says.",
+        },
+        {
+          inlineData: {
+            data: audioBase64,
+            mimeType: mimeType,
+          },
+        },
+      ],
+    },
+    config: { abortSignal: signal },
+  });
+
+  // Validate API response structure
+  if (!response || !response.candidates || !response.candidates[0]) {
+    throw new Error("API did not return any candidates");
+  }
+
+  const candidate = response.candidates[0];
+  if (
+    !candidate.content ||
+    !candidate.content.parts ||
+    !candidate.content.parts[0]
+  ) {
+    return "";
+  }
+
+  return candidate.content.parts[0].text;
+}
+
+/**
+ * Names the Gemini model used for a capability
+ * @param {"chat"|"tts"|"stt"} capability - The AI capability
+ * @returns {Promise<string>} The model name
+ */
+async function getModelName(capability) {
+  return { chat: MODEL, tts: TTS_MODEL, stt: STT_MODEL }[capability];
+}
+
+export const geminiProvider = {
+  id: "gemini",
+  name: "Google Gemini",
+  getModelName,
+  chat,
+  textToSpeech,
+  speechToText,
+};
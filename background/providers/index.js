@@ -0,0 +1,35 @@
+/**
+ * AI Provider Registry
+ * Resolves which provider serves chat, text-to-speech and speech-to-text
+ *
+ * Every provider implements the same interface:
+ * - getModelName(capability) => Promise<string>
+ * - chat(history, { responseSchema, signal }) => Promise<string>
+ * - textToSpeech(text, { signal }) => Promise<string> (base64 24kHz 16-bit mono PCM)
+ * - speechToText(audioBase64, mimeType, { signal, probe }) => Promise<string>
+ *
+ * The optional AbortSignal comes from the request layer (../request-layer.js).
+ * probe marks the connection check's call, which must not change any state
+ * a later transcription depends on.
+ */
+
+import { geminiProvider } from "./gemini-provider.js";
+import { openaiProvider } from "./openai-provider.js";
+import { mockProvider } from "./mock-provider.js";
+import { getProviderSettings } from "../../shared/provider-settings.js";
+
+const PROVIDERS = {
+  [geminiProvider.id]: geminiProvider,
+  [openaiProvider.id]: openaiProvider,
+  [mockProvider.id]: mockProvider,
+};
+
+/**
+ * Gets the provider configured for a capability
+ * @param {"chat"|"tts"|"stt"} capability - The AI capability
+ * @returns {Promise<Object>} The provider, falling back to Gemini if unknown
+ */
+export async function getProvider(capability) {
+  const settings = await getProviderSettings();
+  return PROVIDERS[settings[capability]] || geminiProvider;
+}
@@ -0,0 +1,140 @@
+/**
+ * Mock Provider
+ * Scripted offline provider for development and demos without network access
+ */
+
+import { getVoiceSettings } from "../../shared/voice-settings.js";
+
+// Interviewer lines, used in order and then repeated
+const INTERVIEWER_SCRIPT = [
+  "Hi, I'm your mock interviewer. Whenever you're ready, ask me to introduce the problem.",
+  "Here's the problem: you're given an array of integers and a target, and you need to return the indices of two numbers that add up to the target. What questions do you have?",
+  "Good question. Before coding, how would you solve it by brute force, and what would that cost?",
+  "That works. Can you do better than quadratic time? Think about what you could remember as you scan the array.",
+  "Nice, a hash map gets you there. Go ahead and code it up, and talk me through it as you go.",
+  "What's the time and space complexity of your final solution?",
+  "How would you test this? Walk me through a couple of edge cases.",
+  "Thanks, that's all the time we have. Do you have any questions for me?",
+];
+
+// Candidate answers returned as "transcriptions"
+const CANDIDATE_SCRIPT = [
+  "Could you introduce the problem, please?",
+  "Can the array contain duplicates, and is there always exactly one answer?",
+  "I'd check every pair with two nested loops, which is O of n squared time.",
+  "I could store each number's index in a hash map and look up the complement.",
+  "I'm iterating once, checking the map for target minus the current number.",
+  "It's linear time and linear space for the map.",
+  "I'd test an empty array, negative numbers, and a pair using the same value twice.",
+];
+
+let transcriptionCount = 0;
+
+// Time a word takes at normal speech rate, about 160 words per minute
+const SECONDS_PER_WORD = 0.375;
+
+/**
+ * Builds a placeholder value that satisfies a JSON schema
+ * @param {Object} schema - A JSON schema
+ * @returns {*} A value matching the schema
+ */
+function mockFromSchema(schema) {
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [
+          key,
+          mockFromSchema(value),
+        ])
+      );
+    case "array":
+      return [mockFromSchema(schema.items)];
+    case "number":
+    case "integer":
+      return 3;
+    case "boolean":
+      return true;
+    default:
+      return schema.enum
+        ? schema.enum[0]
+        : "Mock response from the offline provider.";
+  }
+}
+
+/**
+ * Returns the next scripted interviewer line for a conversation
+ * @param {Array<{role: string, text: string}>} history - The conversation so far
+ * @param {Object} [options]
+ * @param {Object} [options.responseSchema] - JSON schema the reply must follow
+ * @returns {Promise<string>} The reply text
+ */
+async function chat(history, { responseSchema } = {}) {
+  if (responseSchema) {
+    return JSON.stringify(mockFromSchema(responseSchema));
+  }
+
+  const turn = history.filter((entry) => entry.role === "model").length;
+  return INTERVIEWER_SCRIPT[turn % INTERVIEWER_SCRIPT.length];
+}
+
+/**
+ * Produces a soft tone roughly as long as the text would take to say
+ * @param {string} text - The text to "speak"
+ * @returns {Promise<string>} Base64 encoded 24kHz 16-bit mono PCM audio
+ */
+async function textToSpeech(text) {
+  const sampleRate = 24000;
+  const { speechRate } = await getVoiceSettings();
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const seconds = Math.max(0.5, (words * SECONDS_PER_WORD) / speechRate);
+  const samples = Math.round(sampleRate * seconds);
+
+  const pcm = new DataView(new ArrayBuffer(samples * 2));
+  for (let i = 0; i < samples; i++) {
+    // Fade in and out to avoid clicks
+    const envelope = Math.min(1, i / 1200, (samples - i) / 1200);
+    const sample = Math.sin((2 * Math.PI * 440 * i) / sampleRate);
+    pcm.setInt16(i * 2, sample * envelope * 3000, true);
+  }
+
+  const bytes = new Uint8Array(pcm.buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Returns the next scripted candidate answer, ignoring the audio
+ * Connection checks get a fixed reply, so they leave the script in place
+ * @param {string} audioBase64 - Base64 encoded audio data, unused
+ * @param {string} mimeType - MIME type of the audio, unused
+ * @param {Object} [options]
+ * @param {boolean} [options.probe] - Whether this is a connection check
+ * @returns {Promise<string>} The "transcribed" text
+ */
+async function speechToText(audioBase64, mimeType, { probe } = {}) {
+  if (probe) return "OK";
+
+  const text = CANDIDATE_SCRIPT[transcriptionCount % CANDIDATE_SCRIPT.length];
+  transcriptionCount++;
+  return text;
+}
+
+/**
+ * Names the mock "model", which is the same for every capability
+ * @returns {Promise<string>} The model name
+ */
+async function getModelName() {
+  return "scripted";
+}
+
+export const mockProvider = {
+  id: "mock",
+  name: "Mock (offline demo)",
+  getModelName,
+  chat,
+  textToSpeech,
+  speechToText,
+};
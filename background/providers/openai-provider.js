@@ -0,0 +1,171 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat, text-to-speech and speech-to-text against any server implementing the
+ * OpenAI REST API, including self-hosted servers on localhost
+ */
+
+import { getProviderSettings } from "../../shared/provider-settings.js";
+import { getVoiceSettings } from "../../shared/voice-settings.js";
+
+/**
+ * Sends a request to the configured OpenAI-compatible endpoint
+ * @param {string} path - API path relative to the base URL (e.g. "/chat/completions")
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>} The successful response
+ * @throws {Error} When the endpoint is not configured or returns an error status
+ */
+async function request(path, init) {
+  const { openai } = await getProviderSettings();
+  if (!openai.baseUrl) {
+    throw new Error("OpenAI-compatible base URL is not configured");
+  }
+
+  const headers = { ...init.headers };
+  if (openai.apiKey) {
+    headers.Authorization = `Bearer ${openai.apiKey}`;
+  }
+
+  const response = await fetch(openai.baseUrl.replace(/\/+$/, "") + path, {
+    ...init,
+    headers,
+  });
+
+  if (!response.ok) {
+    let detail = response.statusText;
+    try {
+      const body = await response.json();
+      detail = (body.error && body.error.message) || detail;
+    } catch (error) {
+      // Not a JSON error body, keep the status text
+    }
+    throw new Error(`HTTP ${response.status}: ${detail}`);
+  }
+
+  return response;
+}
+
+/**
+ * Generates the next assistant reply for a conversation
+ * @param {Array<{role: string, text: string}>} history - The conversation so far
+ * @param {Object} [options]
+ * @param {Object} [options.responseSchema] - JSON schema the reply must follow
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} The reply text
+ */
+async function chat(history, { responseSchema, signal } = {}) {
+  const { openai } = await getProviderSettings();
+
+  const response = await request("/chat/completions", {
+    method: "POST",
+    signal,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model: openai.chatModel,
+      messages: history.map((entry) => ({
+        role: entry.role === "model" ? "assistant" : entry.role,
+        content: entry.text,
+      })),
+      response_format: responseSchema
+        ? {
+            type: "json_schema",
+            json_schema: { name: "response", schema: responseSchema },
+          }
+        : undefined,
+    }),
+  });
+
+  const data = await response.json();
+  if (!data.choices || !data.choices[0]) {
+    throw new Error("API did not return any choices");
+  }
+
+  return data.choices[0].message.content;
+}
+
+/**
+ * Converts text to speech with the /audio/speech endpoint
+ * @param {string} text - The text to convert to speech
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} Base64 encoded 24kHz 16-bit mono PCM audio
+ */
+async function textToSpeech(text, { signal } = {}) {
+  const { openai } = await getProviderSettings();
+  const { speechRate, speechStyle } = await getVoiceSettings();
+
+  const response = await request("/audio/speech", {
+    method: "POST",
+    signal,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model: openai.ttsModel,
+      voice: openai.ttsVoice,
+      input: text,
+      speed: speechRate,
+      instructions: `Speak in a ${speechStyle} voice.`,
+      response_format: "pcm",
+    }),
+  });
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Transcribes speech audio with the /audio/transcriptions endpoint
+ * @param {string} audioBase64 - Base64 encoded audio data
+ * @param {string} mimeType - MIME type of the audio
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} The transcribed text
+ */
+async function speechToText(audioBase64, mimeType, { signal } = {}) {
+  const { openai } = await getProviderSettings();
+
+  const bytes = Uint8Array.from(atob(audioBase64), (c) => c.charCodeAt(0));
+  const extension = mimeType.split("/")[1].split(";")[0];
+
+  const form = new FormData();
+  form.append("model", openai.sttModel);
+  form.append(
+    "file",
+    new Blob([bytes], { type: mimeType }),
+    `recording.${extension}`
+  );
+
+  const response = await request("/audio/transcriptions", {
+    method: "POST",
+    signal,
+    body: form,
+  });
+
+  const data = await response.json();
+  return data.text || "";
+}
+
+/**
+ * Names the configured model used for a capability
+ * @param {"chat"|"tts"|"stt"} capability - The AI capability
+ * @returns {Promise<string>} The model name
+ */
+async function getModelName(capability) {
+  const { openai } = await getProviderSettings();
+  return {
+    chat: openai.chatModel,
+    tts: openai.ttsModel,
+    stt: openai.sttModel,
+  }[capability];
+}
+
+export const openaiProvider = {
+  id: "openai",
+  name: "OpenAI-compatible",
+  getModelName,
+  chat,
+  textToSpeech,
+  speechToText,
+};
@@ -0,0 +1,176 @@
+/**
+ * AI Request Layer
+ * Runs every provider call with a timeout, retries transient failures with
+ * exponential backoff, and lets a stopped interview cancel calls in flight
+ *
+ * Each call receives an AbortSignal. Providers pass it on to fetch or the
+ * SDK, and calls that ignore it are abandoned all the same.
+ *
+ * Calls can be tagged with a scope such as "tab-12/tts". Cancelling a scope
+ * cancels its calls and those of its sub-scopes, so cancelling "tab-12"
+ * stops everything one interview tab started. Untagged calls are never
+ * cancelled.
+ */
+
+import { enhanceApiError } from "./utilities.js";
+
+const REQUEST_DEFAULTS = {
+  timeoutMs: 60 * 1000,
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 8000,
+  scope: null,
+};
+
+// Scope of each call in flight, keyed by its controller
+const activeControllers = new Map();
+
+/**
+ * Creates an error with a name the error classification recognizes
+ * @param {"AbortError"|"TimeoutError"} name - The error name
+ * @param {string} message - The error message
+ * @returns {Error} The error
+ */
+function createRequestError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Waits before the next attempt
+ * @param {number} ms - The delay
+ * @param {AbortSignal} signal - Cuts the wait short when aborted
+ * @returns {Promise<boolean>} False when the wait was cancelled
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve(true);
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs one attempt of a call, failing when it takes too long or is cancelled
+ * @param {Function} call - Receives an AbortSignal and returns a promise
+ * @param {AbortSignal} parentSignal - Aborted when the whole request is cancelled
+ * @param {number} timeoutMs - Time limit of the attempt
+ * @returns {Promise<any>} The call's result
+ */
+async function runAttempt(call, parentSignal, timeoutMs) {
+  if (parentSignal.aborted) {
+    throw createRequestError("AbortError", "Request was cancelled");
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onCancel = () => controller.abort();
+  parentSignal.addEventListener("abort", onCancel, { once: true });
+
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener(
+      "abort",
+      () =>
+        reject(
+          timedOut
+            ? createRequestError(
+                "TimeoutError",
+                `Request timed out after ${timeoutMs / 1000}s`
+              )
+            : createRequestError("AbortError", "Request was cancelled")
+        ),
+      { once: true }
+    );
+  });
+
+  try {
+    return await Promise.race([call(controller.signal), aborted]);
+  } finally {
+    clearTimeout(timer);
+    parentSignal.removeEventListener("abort", onCancel);
+  }
+}
+
+/**
+ * Runs a provider call with a timeout, retrying retryable failures
+ * @param {string} operation - The operation name used in error messages
+ * @param {Function} call - Receives an AbortSignal and returns a promise
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=60000] - Time limit of each attempt
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry, doubled each time
+ * @param {number} [options.maxDelayMs=8000] - Longest delay between attempts
+ * @param {string|null} [options.scope=null] - Scope cancelAIRequests() can cancel the call by
+ * @returns {Promise<any>} The call's result
+ * @throws {Error} An error classified by enhanceApiError once retries run out
+ */
+export async function runAIRequest(operation, call, options = {}) {
+  const { timeoutMs, retries, baseDelayMs, maxDelayMs, scope } = {
+    ...REQUEST_DEFAULTS,
+    ...options,
+  };
+  const controller = new AbortController();
+  activeControllers.set(controller, scope);
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await runAttempt(call, controller.signal, timeoutMs);
+      } catch (error) {
+        const enhanced = enhanceApiError(error, operation);
+        if (!enhanced.retryable || attempt >= retries) {
+          throw enhanced;
+        }
+
+        // Jitter keeps parallel calls from retrying in lockstep
+        const delay =
+          Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) *
+          (0.5 + Math.random() / 2);
+        console.warn(
+          `${operation} failed with ${enhanced.code}, retry ${
+            attempt + 1
+          }/${retries} in ${Math.round(delay)} ms`
+        );
+        if (!(await sleep(delay, controller.signal))) {
+          throw enhanceApiError(
+            createRequestError("AbortError", "Request was cancelled"),
+            operation
+          );
+        }
+      }
+    }
+  } finally {
+    activeControllers.delete(controller);
+  }
+}
+
+/**
+ * Cancels the AI calls in flight within a scope and its sub-scopes
+ * @param {string|null} scope - The scope to cancel, null cancels nothing
+ * @returns {number} How many calls were cancelled
+ */
+export function cancelAIRequests(scope) {
+  let count = 0;
+  activeControllers.forEach((callScope, controller) => {
+    if (
+      callScope &&
+      (callScope === scope || callScope.startsWith(`${scope}/`))
+    ) {
+      controller.abort();
+      activeControllers.delete(controller);
+      count++;
+    }
+  });
+  return count;
+}
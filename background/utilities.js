@@ -42,29 +42,129 @@ export function blobToBase64(blob) {
 }
 
 /**
- * Provides more specific error messages based on error type for AI API calls
+ * Converts a base64 string received from another context back to a Blob
+ * @param {string} base64 - Base64 encoded data (without data URL prefix)
+ * @param {string} mimeType - The type of the data
+ * @returns {Blob} The decoded data
+ */
+export function base64ToBlob(base64, mimeType) {
+  const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  return new Blob([bytes], { type: mimeType });
+}
+
+// Error codes attached to failed AI calls, so callers can react without
+// parsing messages
+export const AI_ERROR_CODES = {
+  AUTH_FAILED: "AUTH_FAILED",
+  RATE_LIMITED: "RATE_LIMITED",
+  SERVER_UNAVAILABLE: "SERVER_UNAVAILABLE",
+  TIMEOUT: "TIMEOUT",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  CANCELLED: "CANCELLED",
+  INVALID_AUDIO: "INVALID_AUDIO",
+  UNKNOWN: "UNKNOWN",
+};
+
+// Codes worth trying again after a short wait
+const RETRYABLE_CODES = [
+  AI_ERROR_CODES.RATE_LIMITED,
+  AI_ERROR_CODES.SERVER_UNAVAILABLE,
+  AI_ERROR_CODES.TIMEOUT,
+  AI_ERROR_CODES.NETWORK_ERROR,
+];
+
+/**
+ * Classifies a failed AI API call and gives it a user-facing message
+ * The returned error carries a "code" from AI_ERROR_CODES, whether it is
+ * "retryable", and the "operation" that failed. Errors that were already
+ * classified are returned unchanged.
  * @param {Error} error - The original error
  * @param {string} operation - The operation that failed (e.g., "Text-to-speech", "Speech-to-text")
  * @returns {Error} Enhanced error with more specific message
  */
 export function enhanceApiError(error, operation) {
-  if (error.message.includes("API key")) {
-    return new Error("Invalid API key or authentication failed");
-  } else if (error.message.includes("quota")) {
-    return new Error("API quota exceeded. Please try again later");
+  if (error.code && error.operation) {
+    return error;
+  }
+
+  const message = error.message || "";
+  let code;
+  let text;
+  if (error.name === "AbortError") {
+    code = AI_ERROR_CODES.CANCELLED;
+    text = `${operation} was cancelled`;
+  } else if (error.name === "TimeoutError") {
+    code = AI_ERROR_CODES.TIMEOUT;
+    text = `${operation} timed out. Please try again`;
+  } else if (message.includes("API key") || /\b(401|403)\b/.test(message)) {
+    code = AI_ERROR_CODES.AUTH_FAILED;
+    text = "Invalid API key or authentication failed";
   } else if (
-    error.message.includes("network") ||
-    error.name === "NetworkError"
+    message.includes("quota") ||
+    /\b429\b|RESOURCE_EXHAUSTED/.test(message)
   ) {
-    return new Error(
-      "Network error. Please check your connection and try again"
-    );
+    code = AI_ERROR_CODES.RATE_LIMITED;
+    text = "API rate limit or quota exceeded. Please try again later";
+  } else if (/\b(500|502|503|504)\b|UNAVAILABLE|overloaded/i.test(message)) {
+    code = AI_ERROR_CODES.SERVER_UNAVAILABLE;
+    text = "The AI service is temporarily unavailable. Please try again";
   } else if (
-    error.message.includes("audio") &&
-    operation === "Speech-to-text"
+    message.includes("network") ||
+    message.includes("Failed to fetch") ||
+    error.name === "NetworkError"
   ) {
-    return new Error("Invalid or corrupted audio data");
+    code = AI_ERROR_CODES.NETWORK_ERROR;
+    text = "Network error. Please check your connection and try again";
+  } else if (message.includes("audio") && operation === "Speech-to-text") {
+    code = AI_ERROR_CODES.INVALID_AUDIO;
+    text = "Invalid or corrupted audio data";
   } else {
-    return new Error(`${operation} failed: ${error.message}`);
+    code = AI_ERROR_CODES.UNKNOWN;
+    text = `${operation} failed: ${message}`;
+  }
+
+  const enhanced = new Error(text);
+  enhanced.code = code;
+  enhanced.retryable = RETRYABLE_CODES.includes(code);
+  enhanced.operation = operation;
+  enhanced.cause = error;
+  return enhanced;
+}
+
+/**
+ * Builds a silent 16kHz mono WAV clip, used to probe speech-to-text services
+ * @param {number} [seconds=0.5] - Length of the clip
+ * @returns {string} Base64 encoded WAV file
+ */
+export function createSilentWavBase64(seconds = 0.5) {
+  const sampleRate = 16000;
+  const dataLength = Math.round(sampleRate * seconds) * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataLength));
+
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, "data");
+  view.setUint32(40, dataLength, true);
+
+  const bytes = new Uint8Array(view.buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
   }
+  return btoa(binary);
 }
@@ -0,0 +1,64 @@
+/**
+ * Code Snapshots Module
+ * Records how the candidate's code evolves during the interview
+ *
+ * Features:
+ * - Periodic snapshots of the editor while the interview runs
+ * - Snapshots at each answer, Run/Submit result and phase change
+ * - Unchanged code is skipped, the background stores changes as diffs
+ */
+
+// How often the editor is checked for changes
+const CODE_SNAPSHOT_INTERVAL = 30 * 1000;
+
+let codeSnapshotTimer = null;
+let lastSnapshotCode = null;
+
+/**
+ * Starts taking periodic snapshots of the editor
+ */
+function startCodeSnapshots() {
+  stopCodeSnapshots();
+  codeSnapshotTimer = setInterval(
+    () => captureCodeSnapshot("interval"),
+    CODE_SNAPSHOT_INTERVAL
+  );
+}
+
+/**
+ * Stops taking periodic snapshots
+ */
+function stopCodeSnapshots() {
+  clearInterval(codeSnapshotTimer);
+  codeSnapshotTimer = null;
+  lastSnapshotCode = null;
+}
+
+/**
+ * Saves the editor contents to the session timeline if they changed
+ * Failures are logged only, a lost snapshot must not disturb the interview
+ * @param {string} reason - Why the snapshot is taken: "interval", "answer",
+ *   "test-run", "phase" or "end"
+ * @returns {Promise<void>}
+ */
+async function captureCodeSnapshot(reason) {
+  const code = getEditorCode();
+  if (!code || code === lastSnapshotCode) return;
+
+  lastSnapshotCode = code;
+  try {
+    const response = await sendSessionMessage({
+      action: "saveCodeSnapshot",
+      code,
+      language: getEditorLanguage(),
+      reason,
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    // Try again with the next snapshot
+    lastSnapshotCode = null;
+    console.warn("Failed to save code snapshot:", error);
+  }
+}
@@ -18,26 +18,54 @@ chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
       startInterview(true);
       sendResponse({ success: true });
       break;
+    case "interviewResume":
+      startInterview();
+      sendResponse({ success: true });
+      break;
     case "interviewStop":
       stopInterview();
       sendResponse({ success: true });
       break;
+    case "shortcut":
+      handleShortcut(request.command, request.shortcut);
+      sendResponse({ success: true });
+      break;
     default:
       sendResponse({ success: false, error: "Unknown action" });
   }
 });
 
+// Apply hands-free setting changes from the popup to a running interview
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (
+    areaName !== "local" ||
+    !document.getElementById("ai-interviewer-recorder")
+  ) {
+    return;
+  }
+  if (
+    changes.handsFreeMode ||
+    changes.vadSilenceTimeout ||
+    changes.vadSensitivity
+  ) {
+    initializeHandsFreeMode();
+  }
+});
+
 /**
  * Initializes the content script and restores interview state if needed
  * @returns {Promise<void>}
  */
 async function initializeContentScript() {
   try {
-    // Check if interview was previously active
-    const isInterviewActive =
-      (await getFromStorage("isInterviewActive")) || false;
+    // Resume the active session if it belongs to this problem
+    const session = await getActiveSession();
 
-    if (isInterviewActive) {
+    if (
+      session &&
+      getCurrentSite() &&
+      session.problemSlug === getProblemInfo().slug
+    ) {
       await startInterview();
     }
   } catch (error) {
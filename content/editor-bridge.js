@@ -0,0 +1,40 @@
+/**
+ * Editor Bridge
+ * Runs in the page's own JavaScript world, where the Monaco editor API is
+ * reachable, and posts the full editor text to the content scripts
+ *
+ * Monaco only renders the lines on screen, so reading the DOM misses code
+ * scrolled out of view. The model holds every line.
+ */
+
+(() => {
+  // Matches EDITOR_BRIDGE_SOURCE in content/sites/site-adapters.js
+  const EDITOR_BRIDGE_SOURCE = "ai-interviewer-editor-bridge";
+
+  // How often the model is checked for changes
+  const EDITOR_BRIDGE_INTERVAL = 1000;
+
+  let lastPostedCode = null;
+
+  /**
+   * Posts the editor model's text when it changed since the last post
+   */
+  function postEditorCode() {
+    const monaco = window.monaco;
+    if (!monaco || !monaco.editor) return;
+
+    const [model] = monaco.editor.getModels();
+    if (!model) return;
+
+    const code = model.getValue();
+    if (code === lastPostedCode) return;
+
+    lastPostedCode = code;
+    window.postMessage(
+      { source: EDITOR_BRIDGE_SOURCE, code },
+      window.location.origin
+    );
+  }
+
+  setInterval(postEditorCode, EDITOR_BRIDGE_INTERVAL);
+})();
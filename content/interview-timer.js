@@ -0,0 +1,243 @@
+/**
+ * Interview Timer Module
+ * Tracks the timed interview plan and shows the phase countdown on the page
+ *
+ * Features:
+ * - Phase countdown next to the recording button
+ * - Phase transitions from the candidate or the interviewer
+ * - Overrun detection and reporting
+ * - Phase status for every message sent to the interviewer
+ */
+
+// Plan and phase log of the running session
+let interviewPlan = [];
+let phaseLog = [];
+let phaseTimer = null;
+
+// Marker the interviewer puts at the start of a reply to move to the next
+// phase. Defined in shared/interview-plan.js and sent with each new session,
+// since the background is what strips it from replies.
+let nextPhaseTag = "";
+
+/**
+ * Starts the countdown for a session's current phase
+ * @param {Object} session - The session with its plan and phase log
+ */
+function startPhaseTimer(session) {
+  stopPhaseTimer();
+  if (!session || !session.plan || !session.phaseLog) return;
+
+  interviewPlan = session.plan;
+  phaseLog = session.phaseLog;
+
+  createPhaseTimerElement();
+  updatePhaseTimer();
+  phaseTimer = setInterval(updatePhaseTimer, 1000);
+}
+
+/**
+ * Stops the countdown and removes it from the page
+ */
+function stopPhaseTimer() {
+  if (phaseTimer) {
+    clearInterval(phaseTimer);
+    phaseTimer = null;
+  }
+  const element = document.getElementById("ai-interviewer-phase-timer");
+  if (element) {
+    element.remove();
+  }
+  interviewPlan = [];
+  phaseLog = [];
+}
+
+/**
+ * Adds the countdown and "next phase" control to the recorder container
+ */
+function createPhaseTimerElement() {
+  const container = document.getElementById("ai-interviewer-recorder");
+  if (!container) return;
+
+  const timer = document.createElement("div");
+  timer.id = "ai-interviewer-phase-timer";
+  timer.style.cssText = `
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 6px;
+    padding: 4px 6px 2px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 11px;
+    color: #333;
+  `;
+
+  const label = document.createElement("span");
+  label.className = "phase-label";
+
+  const nextButton = document.createElement("button");
+  nextButton.textContent = "Next ▸";
+  nextButton.title = "Move on to the next interview phase";
+  nextButton.style.cssText = `
+    background: none;
+    border: 1px solid #dee2e6;
+    border-radius: 4px;
+    padding: 1px 6px;
+    font-size: 10px;
+    cursor: pointer;
+  `;
+  nextButton.addEventListener("click", () => advanceToNextPhase());
+
+  timer.append(label, nextButton);
+  container.appendChild(timer);
+}
+
+/**
+ * Gets the phase the interview is in, with its timing
+ * @returns {Object|null} The phase, its index, and elapsed/remaining seconds
+ */
+function getCurrentPhase() {
+  const entry = phaseLog[phaseLog.length - 1];
+  if (!entry) return null;
+
+  const index = interviewPlan.findIndex((phase) => phase.id === entry.phaseId);
+  const phase = interviewPlan[index];
+  const elapsed = Math.floor((Date.now() - Date.parse(entry.startedAt)) / 1000);
+
+  return {
+    ...phase,
+    index,
+    entry,
+    remaining: phase.minutes * 60 - elapsed,
+  };
+}
+
+/**
+ * Seconds left in the whole interview, counting unstarted phases in full
+ * @returns {number} Remaining seconds, negative once the interview overruns
+ */
+function getInterviewRemaining() {
+  const current = getCurrentPhase();
+  if (!current) return 0;
+
+  const later = interviewPlan
+    .slice(current.index + 1)
+    .reduce((total, phase) => total + phase.minutes * 60, 0);
+  return current.remaining + later;
+}
+
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds - Seconds, may be negative
+ * @returns {string} The formatted duration
+ */
+function formatDuration(seconds) {
+  const absolute = Math.abs(seconds);
+  const minutes = Math.floor(absolute / 60);
+  return `${minutes}:${String(absolute % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Refreshes the countdown and reports the first overrun of a phase
+ */
+function updatePhaseTimer() {
+  const current = getCurrentPhase();
+  const element = document.getElementById("ai-interviewer-phase-timer");
+  if (!current || !element) return;
+
+  const label = element.querySelector(".phase-label");
+  const overrun = current.remaining < 0;
+  label.textContent = `${current.index + 1}/${interviewPlan.length} ${
+    current.name
+  } · ${overrun ? "+" : ""}${formatDuration(current.remaining)}${
+    overrun ? " over" : ""
+  }`;
+  label.style.color = overrun ? "#ea4335" : "#333";
+
+  if (overrun && !current.entry.overrunAt) {
+    current.entry.overrunAt = new Date().toISOString();
+    sendSessionMessage({ action: "recordPhaseOverrun" }).catch((error) =>
+      console.error("Failed to record overrun:", error)
+    );
+  }
+}
+
+/**
+ * Moves the interview to its next phase
+ * @returns {Promise<void>}
+ */
+async function advanceToNextPhase() {
+  try {
+    const response = await sendSessionMessage({ action: "advancePhase" });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    phaseLog = response.session.phaseLog;
+    updatePhaseTimer();
+    await captureCodeSnapshot("phase");
+  } catch (error) {
+    console.error("Failed to advance interview phase:", error);
+    showError("Failed to advance interview phase: " + error.message);
+  }
+}
+
+/**
+ * Applies a phase transition requested by the interviewer
+ * @param {boolean} nextPhase - Whether the reply carried the phase marker
+ * @returns {Promise<void>}
+ */
+async function applyInterviewerPhaseChange(nextPhase) {
+  if (nextPhase && phaseLog.length > 0) {
+    await advanceToNextPhase();
+  }
+}
+
+/**
+ * Appends the current phase and remaining time to a message for the interviewer
+ * @param {string} message - The message to send
+ * @returns {string} The message with an interview status line
+ */
+function attachPhaseStatus(message) {
+  const current = getCurrentPhase();
+  if (!current) return message;
+
+  const phaseTime =
+    current.remaining >= 0
+      ? `${formatDuration(current.remaining)} left in this phase`
+      : `${formatDuration(current.remaining)} over this phase's budget`;
+  const totalTime = getInterviewRemaining();
+  const interviewTime =
+    totalTime >= 0
+      ? `${formatDuration(totalTime)} left in the interview`
+      : `${formatDuration(totalTime)} over the interview's time`;
+
+  return `${message}
+
+[Interview status] Phase ${current.index + 1}/${interviewPlan.length}: ${
+    current.name
+  } (${current.goal}) ${phaseTime}, ${interviewTime}.`;
+}
+
+/**
+ * Total time budget of a plan
+ * @param {Array} plan - The session plan
+ * @returns {number} Minutes across all phases
+ */
+function getPlanMinutes(plan) {
+  return plan.reduce((total, phase) => total + phase.minutes, 0);
+}
+
+/**
+ * Describes the interview plan for the interviewer's setup prompt
+ * @param {Array} plan - The session plan
+ * @returns {string} One line per phase with its budget
+ */
+function describeInterviewPlan(plan) {
+  return plan
+    .map(
+      (phase, index) =>
+        `${index + 1}. ${phase.name} (${phase.minutes} min): ${phase.goal}`
+    )
+    .join("\n");
+}
@@ -0,0 +1,100 @@
+/**
+ * Interviewer Persona Module
+ * Turns the popup's interviewer settings into setup prompt instructions
+ *
+ * Features:
+ * - Interviewer style (coach, neutral, adversarial)
+ * - Candidate seniority level
+ * - Hint policy and solution reveal rules
+ */
+
+const INTERVIEWER_STYLES = {
+  coach:
+    "Be a friendly coach: warm and encouraging, celebrate progress, and explain the reasoning behind your feedback.",
+  neutral:
+    "Be a neutral big-tech interviewer: polite and professional, but reserved. Do not say whether an answer is right; probe it with follow-up questions instead.",
+  adversarial:
+    "Be an adversarial interviewer: skeptical and terse. Challenge every claim, ask for proof of correctness and complexity, and press hard on edge cases.",
+};
+
+const CANDIDATE_LEVELS = {
+  intern:
+    "I am interviewing for an internship. Expect fundamentals, allow some guidance, and do not expect advanced optimizations.",
+  newGrad:
+    "I am interviewing for a new grad role. Expect a working optimal solution with clear reasoning, and solid complexity analysis.",
+  senior:
+    "I am interviewing for a senior role. Expect a fast, clean, optimal solution, discussion of trade-offs and alternatives, and production-quality code with no help.",
+};
+
+const HINT_POLICIES = {
+  generous:
+    "Give hints freely whenever I seem stuck or ask for one, and make them concrete.",
+  balanced:
+    "Give a small hint only after I have been stuck for a while or explicitly ask; start vague and get more specific only if needed.",
+  strict:
+    "Do not volunteer hints. Only if I explicitly ask, give a single vague nudge, and tell me that it will count against me.",
+};
+
+// Solution reveal rules, also repeated with every hint request
+const SOLUTION_REVEAL_RULES = {
+  allowed:
+    "If I am completely stuck and ask for the solution, you may walk me through it, then ask me to explain it back.",
+  forbidden:
+    "Never reveal the full solution or write the code for me, even if I ask for it.",
+};
+
+const DEFAULT_PERSONA = {
+  style: "neutral",
+  level: "newGrad",
+  hintPolicy: "balanced",
+  allowSolutionReveal: false,
+};
+
+/**
+ * Reads the interviewer settings chosen in the popup
+ * @returns {Promise<Object>} Style, level, hint policy and solution reveal flag
+ */
+async function getPersonaSettings() {
+  const [style, level, hintPolicy, allowSolutionReveal] = await Promise.all([
+    getFromStorage("interviewerStyle"),
+    getFromStorage("candidateLevel"),
+    getFromStorage("hintPolicy"),
+    getFromStorage("allowSolutionReveal"),
+  ]);
+
+  return {
+    style: INTERVIEWER_STYLES[style] ? style : DEFAULT_PERSONA.style,
+    level: CANDIDATE_LEVELS[level] ? level : DEFAULT_PERSONA.level,
+    hintPolicy: HINT_POLICIES[hintPolicy]
+      ? hintPolicy
+      : DEFAULT_PERSONA.hintPolicy,
+    allowSolutionReveal:
+      allowSolutionReveal ?? DEFAULT_PERSONA.allowSolutionReveal,
+  };
+}
+
+/**
+ * Builds the persona section of the interviewer setup prompt
+ * @returns {Promise<string>} Instructions for style, level, hints and solutions
+ */
+async function buildPersonaInstructions() {
+  const persona = await getPersonaSettings();
+
+  return [
+    INTERVIEWER_STYLES[persona.style],
+    CANDIDATE_LEVELS[persona.level],
+    HINT_POLICIES[persona.hintPolicy],
+    getSolutionRevealRule(persona),
+  ].join("\n        ");
+}
+
+/**
+ * Words the solution reveal rule for the interviewer
+ * @param {Object} persona - Settings from getPersonaSettings()
+ * @returns {string} The rule
+ */
+function getSolutionRevealRule(persona) {
+  return persona.allowSolutionReveal
+    ? SOLUTION_REVEAL_RULES.allowed
+    : SOLUTION_REVEAL_RULES.forbidden;
+}
@@ -6,40 +6,101 @@
  * - User speech processing and AI response generation
  * - Interview context management
  * - Conversation history tracking
+ * - Live editor code sharing with the interviewer
+ * - Typed answers, with the reply spoken only if the candidate wants it
  */
 
+// Whether replies to typed answers are spoken, stored in chrome.storage
+// Unset means silent: the candidate opts in with the "Speak replies" box
+const SPEAK_TYPED_REPLIES_KEY = "speakTypedReplies";
+
+// Id of the session this tab runs, sent with every message about it
+let interviewSessionId = null;
+
+// Last editor contents sent to the interviewer, used to skip unchanged code
+let lastSentCode = null;
+
+// Bumped whenever AI speech is interrupted, so stale playback loops stop
+let speechGeneration = 0;
+
+// The reply being spoken: its chunks and how many have finished playing
+let currentSpeech = { chunks: [], spokenCount: 0 };
+
 /**
  * Starts the interview session by creating the recording interface
+ * Resuming starts a new session instead when the active one is gone
+ * @param {boolean} [firstTime=false] - Whether to start a new session rather
+ *   than resume the active one
  * @returns {Promise<void>}
  */
 async function startInterview(firstTime = false) {
+  let createdSessionId = null;
+
   try {
     createRecordingButton();
 
     updateButtonState(RecordingState.PROCESSING);
 
-    destroyAllLeetcodeWidgetsExceptCode();
+    const resumedSession = firstTime ? null : await getActiveSession();
+    const newSession = !resumedSession;
 
-    if (firstTime) {
-      await clearConversationHistory();
-      await firstInterviewPrompt();
-    }
+    // Read the problem while the description is still on the page
+    const problemDetails = newSession ? getProblemDetails() : null;
 
-    await setInStorage("isInterviewActive", true);
+    applyFocusLayout();
 
+    const session = resumedSession || (await startNewSession(problemDetails));
+    if (newSession) createdSessionId = session.id;
+    interviewSessionId = session.id;
+
+    startPhaseTimer(session);
+    startTestResultWatcher();
+    startCodeSnapshots();
+    await createTranscriptPanel(session);
+
+    // Decide between voice and text-only mode before the interviewer speaks
     await requestMicrophonePermission();
 
-    showSuccess(
-      "AI Interviewer is ready! Click the recording button to start."
-    );
+    if (newSession) {
+      await firstInterviewPrompt(session);
+    }
 
     resetToReadyState();
+
+    await initializeHandsFreeMode();
+
+    if (!microphoneAvailable) {
+      showSuccess(
+        "AI Interviewer is ready in text-only mode, no microphone is available. Type your answers in the transcript panel."
+      );
+    } else {
+      showSuccess(
+        isHandsFreeActive()
+          ? "AI Interviewer is ready! Hands-free mode is listening, just start talking."
+          : "AI Interviewer is ready! Click the recording button or type your answer to start."
+      );
+    }
   } catch (error) {
     console.error("Failed to start interview:", error);
     showError("Failed to start interview: " + error.message);
 
-    // Clean up on error
-    await setInStorage("isInterviewActive", false);
+    // Clean up on error, ending only a session this attempt started
+    stopPhaseTimer();
+    stopTestResultWatcher();
+    stopCodeSnapshots();
+    removeRecordingButton();
+    removeTranscriptPanel();
+    interviewSessionId = null;
+    if (createdSessionId) {
+      try {
+        await chrome.runtime.sendMessage({
+          action: "endSession",
+          sessionId: createdSessionId,
+        });
+      } catch (cleanupError) {
+        console.error("Failed to end the new session:", cleanupError);
+      }
+    }
   }
 }
 
@@ -49,13 +110,36 @@ async function startInterview(firstTime = false) {
  */
 async function stopInterview() {
   try {
-    // Store interview state
-    await setInStorage("isInterviewActive", false);
+    await captureCodeSnapshot("end");
+
+    // Drop replies still being generated, the interview is over
+    failedRecording = null;
+    await chrome.runtime.sendMessage({ action: "cancelRequests" });
 
-    // Remove the recording button UI
+    // End this tab's session so it moves to the archive
+    const response = await sendSessionMessage({ action: "endSession" });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    // Release the microphone and remove the recording button UI
+    stopHandsFreeListening();
+    stopPhaseTimer();
+    stopTestResultWatcher();
+    stopCodeSnapshots();
     removeRecordingButton();
+    removeTranscriptPanel();
+    interviewSessionId = null;
+
+    if (!response.session) {
+      showSuccess("Interview session ended.");
+      return;
+    }
+
+    showSuccess("Interview session ended. Generating your scorecard...");
 
-    showSuccess("Interview session ended.");
+    await requestScorecard(response.session.id);
   } catch (error) {
     console.error("Failed to stop interview:", error);
     showError("Failed to stop interview: " + error.message);
@@ -63,43 +147,190 @@ async function stopInterview() {
 }
 
 /**
- * Handles user speech input and coordinates AI response
- * This function is called from recording-manager.js after transcription
- * @param {string} userText - The transcribed user speech
- * @returns {Promise<string>} The AI response text
+ * Asks the background script to grade the finished interview
+ * The scorecard is stored on the session and shown in the popup
+ * @param {string} sessionId - The session that just ended
+ * @returns {Promise<void>}
  */
-async function handleUserInteraction(userText) {
+async function requestScorecard(sessionId) {
   try {
-    // Send to background script for AI processing
     const response = await chrome.runtime.sendMessage({
-      action: "sendChatMessage",
-      message: userText,
+      action: "generateScorecard",
+      sessionId,
     });
 
     if (!response.success) {
       throw new Error(response.error);
     }
 
-    const aiResponse = response.text.trim();
+    showSuccess(
+      "Your interview scorecard is ready. Open the extension popup to view it."
+    );
+  } catch (error) {
+    console.error("Failed to generate scorecard:", error);
+    showError("Failed to generate scorecard: " + error.message);
+  }
+}
+
+/**
+ * Handles user speech input and coordinates AI response
+ * This function is called from recording-manager.js after transcription
+ * @param {string} userText - The transcribed user speech
+ * @param {{audioData: string, mimeType: string}} [recording] - The base64 recording of the speech
+ * @returns {Promise<string>} The AI response text
+ */
+async function handleUserInteraction(userText, recording) {
+  try {
+    const aiResponse = await requestInterviewerReply(userText);
+
+    if (recording) {
+      saveTurnAudio("user", 0, recording);
+    }
 
     showTranscribedText(userText);
 
     await handleAIResponse(aiResponse);
   } catch (error) {
     console.error("Failed to handle user speech:", error);
-    throw new Error("Failed to get AI response: " + error.message);
+    error.message = "Failed to get AI response: " + error.message;
+    throw error;
+  }
+}
+
+/**
+ * Sends a typed answer to the interviewer and shows or speaks the reply
+ * Typed answers are only accepted while nothing else is in progress
+ * @param {string} text - The typed answer
+ * @returns {Promise<boolean>} Whether the answer was sent
+ */
+async function submitTypedAnswer(text) {
+  if (!text.trim() || currentState !== RecordingState.READY) return false;
+
+  updateButtonState(RecordingState.PROCESSING);
+  currentState = RecordingState.PROCESSING;
+
+  try {
+    const aiResponse = await requestInterviewerReply(text.trim());
+    showTranscribedText(text.trim());
+    await handleAIResponse(aiResponse, true);
+    return true;
+  } catch (error) {
+    console.error("Failed to send typed answer:", error);
+    if (error.code !== "CANCELLED") {
+      showError("Failed to get AI response: " + error.message);
+    }
+    return false;
+  } finally {
+    if (currentState === RecordingState.PROCESSING) {
+      resetToReadyState();
+    }
+  }
+}
+
+/**
+ * Asks the interviewer for the next level of the hint ladder
+ * The background script picks the level, capped by the persona hint policy,
+ * and records the hint on the session once the interviewer has answered
+ * @returns {Promise<void>}
+ */
+async function requestHint() {
+  if (currentState !== RecordingState.READY) return;
+
+  updateButtonState(RecordingState.PROCESSING);
+  currentState = RecordingState.PROCESSING;
+
+  try {
+    const persona = await getPersonaSettings();
+    const response = await sendSessionMessage({
+      action: "getNextHint",
+      hintPolicy: persona.hintPolicy,
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    const { hint } = response;
+    const question = "Can I get a hint?";
+    const aiResponse = await requestInterviewerReply(`${question}
+
+[Hint request] Level ${hint.level}/${hint.maxLevel}, ${hint.name}: ${
+      hint.instruction
+    } ${getSolutionRevealRule(persona)}`);
+
+    // A failed reply gave no help, so only an answered request counts
+    const recorded = await sendSessionMessage({
+      action: "recordHint",
+      hintPolicy: persona.hintPolicy,
+    });
+    if (!recorded.success) {
+      console.error("Failed to record hint:", recorded.error);
+    }
+    showTranscribedText(question);
+    showSuccess(`Hint ${hint.level}/${hint.maxLevel}: ${hint.name}`);
+    await handleAIResponse(aiResponse);
+  } catch (error) {
+    console.error("Failed to get a hint:", error);
+    if (error.code !== "CANCELLED") {
+      showError("Failed to get a hint: " + error.message);
+    }
+  } finally {
+    if (currentState === RecordingState.PROCESSING) {
+      resetToReadyState();
+    }
+  }
+}
+
+/**
+ * Sends a candidate turn with its page context and returns the interviewer's reply
+ * The turn carries changed editor code, new test results and the phase status
+ * @param {string} message - The candidate's words
+ * @returns {Promise<string>} The reply, with any phase change applied
+ * @throws {Error} When the background script fails to get a reply
+ */
+async function requestInterviewerReply(message) {
+  await captureCodeSnapshot("answer");
+
+  try {
+    // Send to background script for AI processing
+    const response = await sendSessionMessage({
+      action: "sendChatMessage",
+      message: attachPhaseStatus(
+        attachTestResults(attachEditorContext(message))
+      ),
+    });
+
+    if (!response.success) {
+      throw createResponseError(response);
+    }
+
+    markTestResultsSent();
+    await applyInterviewerPhaseChange(response.nextPhase);
+    return response.text.trim();
+  } catch (error) {
+    // The attached code may not have reached the history, send it again next turn
+    lastSentCode = null;
+    throw error;
   }
 }
 
 /**
  * Handles AI response processing and follow-up actions
+ * Replies to typed answers, and every reply in text-only mode, are only
+ * spoken when the candidate chose to hear them
  * @param {string} aiText - The AI response text
+ * @param {boolean} [typed=false] - Whether the candidate typed the answer
  * @returns {Promise<void>}
  */
-async function handleAIResponse(aiText) {
+async function handleAIResponse(aiText, typed = false) {
   try {
     showTranscribedText(aiText, "ai");
-    await playAIResponse(aiText);
+
+    const speak =
+      (!typed && microphoneAvailable) ||
+      (await getFromStorage(SPEAK_TYPED_REPLIES_KEY)) === true;
+    if (speak) {
+      await playAIResponse(aiText);
+    }
   } catch (error) {
     console.error("Failed to handle AI response:", error);
     showError("Failed to process AI response: " + error.message);
@@ -107,107 +338,372 @@ async function handleAIResponse(aiText) {
 }
 
 /**
- * Gets the current conversation history
- * @returns {Promise<Array>} The conversation history
+ * Sends a message about this tab's interview session to the background script
+ * @param {Object} message - The message, sent with the session id added
+ * @returns {Promise<Object>} The background script's response
  */
-async function getConversationHistory() {
+function sendSessionMessage(message) {
+  return chrome.runtime.sendMessage({
+    ...message,
+    sessionId: interviewSessionId,
+  });
+}
+
+/**
+ * Gets this tab's interview session from the background script
+ * @returns {Promise<Object|null>} The session, or null if there is none
+ */
+async function getInterviewSession() {
+  if (!interviewSessionId) return null;
+
   try {
-    return (await getFromStorage("conversationHistory")) || [];
+    const response = await sendSessionMessage({ action: "getSession" });
+    return response.success ? response.session : null;
   } catch (error) {
-    console.error("Failed to get conversation history:", error);
-    return [];
+    console.error("Failed to get interview session:", error);
+    return null;
   }
 }
 
 /**
- * Clears the current conversation history
- * @returns {Promise<void>}
+ * Gets the active interview session from the background script
+ * @returns {Promise<Object|null>} The active session, or null if none
  */
-async function clearConversationHistory() {
+async function getActiveSession() {
   try {
-    await setInStorage("conversationHistory", []);
-    await setInStorage("interviewStats", {
-      totalQuestions: 0,
-      totalResponses: 0,
-      sessionStartTime: new Date().toISOString(),
-      lastActivity: new Date().toISOString(),
+    const response = await chrome.runtime.sendMessage({
+      action: "getActiveSession",
     });
+    return response.success ? response.session : null;
   } catch (error) {
-    console.error("Failed to clear conversation history:", error);
+    console.error("Failed to get active session:", error);
+    return null;
+  }
+}
+
+/**
+ * Starts a fresh interview session for the problem on this page
+ * @param {Object|null} problemDetails - The parsed problem, kept on the session
+ * @returns {Promise<Object>} The created session
+ * @throws {Error} When the session could not be created
+ */
+async function startNewSession(problemDetails) {
+  const response = await chrome.runtime.sendMessage({
+    action: "startSession",
+    problem: { ...getProblemInfo(), details: problemDetails },
+  });
+
+  if (!response.success) {
+    throw new Error(response.error);
   }
+
+  lastSentCode = null;
+  nextPhaseTag = response.nextPhaseTag;
+  return response.session;
 }
 
 /**
  * Converts AI response text to speech and plays it
+ * The reply is synthesized sentence by sentence, fetching the next chunk while
+ * the current one plays, and stays in AI_SPEAKING until the last chunk ends
  * @param {string} aiText - The AI response to convert to speech
+ * @param {boolean} [saveAudio=true] - Whether to keep the audio for the latest turn
  * @returns {Promise<void>}
  */
-async function playAIResponse(aiText) {
+async function playAIResponse(aiText, saveAudio = true) {
+  const generation = ++speechGeneration;
+
   try {
     // Update UI to AI speaking state
     updateButtonState(RecordingState.AI_SPEAKING);
     currentState = RecordingState.AI_SPEAKING;
 
-    // Send to background script for text-to-speech conversion
-    const ttsResponse = await chrome.runtime.sendMessage({
-      action: "textToSpeech",
-      text: aiText,
-    });
+    const chunks = splitIntoSpeechChunks(renderMarkdownAsSpeech(aiText));
+    currentSpeech = { chunks, spokenCount: 0 };
+    if (chunks.length === 0) return;
 
-    if (!ttsResponse.success) {
-      throw new Error(ttsResponse.error);
-    }
+    let pendingAudio = synthesizeSpeechChunk(chunks[0]);
+    const playback = [];
+    let playbackError = null;
 
-    if (!ttsResponse.audioData) {
-      throw new Error(
-        "Invalid response from text-to-speech service, audioData missing"
+    for (let i = 0; i < chunks.length; i++) {
+      const { audioData, pcmData } = await pendingAudio;
+
+      // Interrupted while the chunk was being synthesized, drop it
+      if (generation !== speechGeneration) return;
+
+      // Fetch the next chunk while this one plays
+      if (i + 1 < chunks.length) {
+        pendingAudio = synthesizeSpeechChunk(chunks[i + 1]);
+      }
+
+      playback.push(
+        enqueuePCMChunk(pcmData)
+          .then(() => {
+            if (generation !== speechGeneration) return;
+            currentSpeech.spokenCount++;
+            if (saveAudio) {
+              saveTurnAudio("model", i, { audioData, mimeType: "audio/pcm" });
+            }
+          })
+          // A chunk can fail while a later one is still being synthesized
+          .catch((error) => {
+            playbackError = playbackError || error;
+          })
       );
     }
 
-    const pcmData = Uint8Array.from(atob(ttsResponse.audioData), (c) =>
-      c.charCodeAt(0)
-    );
-    createAndPlayWAVBuffer(
-      pcmData,
-      (err) => {
-        if (err) {
-          console.error("Error playing audio:", err);
-          showError("Error playing AI response audio: " + err.message);
-        }
-        resetToReadyState();
-      },
-      () => {
-        resetToReadyState();
-      }
-    );
+    await Promise.all(playback);
+    if (playbackError) throw playbackError;
   } catch (error) {
+    if (generation !== speechGeneration) return;
     console.error("Failed to play AI response:", error);
     showError("Failed to play AI response: " + error.message);
+    stopPlayback();
+  } finally {
+    // After an interruption the candidate is already recording
+    if (generation === speechGeneration) {
+      resetToReadyState();
+    }
+  }
+}
+
+/**
+ * Stops the AI mid-reply and starts recording the candidate straight away
+ * The part of the reply that was actually heard is saved in the session
+ * @param {boolean} [startAnswer=true] - Whether to record the candidate next
+ * @returns {Promise<void>}
+ */
+async function interruptAIResponse(startAnswer = true) {
+  if (currentState !== RecordingState.AI_SPEAKING) return;
+
+  const spokenText = getSpokenText();
+
+  // Invalidate the playback loop and any TTS still in flight
+  speechGeneration++;
+  stopPlayback();
+  await cancelSpeechSynthesis();
+  markLastTranscriptEntryInterrupted(spokenText);
+
+  // Without a microphone, interrupting just stops the speech
+  if (startAnswer && microphoneAvailable) {
+    await startRecording(isHandsFreeActive() ? vadStream : null);
+  } else {
+    resetToReadyState();
+  }
+
+  try {
+    const response = await sendSessionMessage({
+      action: "recordInterruption",
+      spokenText,
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    console.error("Failed to record interruption:", error);
+  }
+}
+
+/**
+ * Reconstructs the part of the current reply the candidate heard
+ * Finished chunks count fully, the playing chunk by elapsed playback time
+ * @returns {string} The spoken prefix of the reply
+ */
+function getSpokenText() {
+  const { chunks, spokenCount } = currentSpeech;
+  const spoken = chunks.slice(0, spokenCount);
+
+  const current = chunks[spokenCount];
+  if (current) {
+    const words = current.split(/\s+/);
+    const heard = Math.round(words.length * getCurrentChunkProgress());
+    if (heard > 0) spoken.push(words.slice(0, heard).join(" "));
+  }
+
+  return spoken.join(" ");
+}
+
+/**
+ * Converts one chunk of text to PCM audio through the background script
+ * @param {string} text - The text to synthesize
+ * @returns {Promise<{audioData: string, pcmData: Uint8Array}>} The base64 audio
+ *   and its 16-bit mono PCM samples at 24kHz
+ * @throws {Error} When the text-to-speech request fails
+ */
+async function synthesizeSpeechChunk(text) {
+  const ttsResponse = await chrome.runtime.sendMessage({
+    action: "textToSpeech",
+    text,
+  });
+
+  if (!ttsResponse.success) {
+    throw createResponseError(ttsResponse);
+  }
+
+  if (!ttsResponse.audioData) {
+    throw new Error(
+      "Invalid response from text-to-speech service, audioData missing"
+    );
   }
+
+  return {
+    audioData: ttsResponse.audioData,
+    pcmData: Uint8Array.from(atob(ttsResponse.audioData), (c) =>
+      c.charCodeAt(0)
+    ),
+  };
 }
 
-async function firstInterviewPrompt() {
+/**
+ * Cancels the text-to-speech calls still running for a reply nobody will hear
+ * @returns {Promise<void>}
+ */
+async function cancelSpeechSynthesis() {
   try {
+    await chrome.runtime.sendMessage({
+      action: "cancelRequests",
+      scope: "tts",
+    });
+  } catch (error) {
+    console.error("Failed to cancel speech synthesis:", error);
+  }
+}
+
+/**
+ * Keeps the audio of a turn when audio recording is enabled
+ * Failures are logged only, a lost clip must not disturb the interview
+ * @param {string} role - "user" or "model"
+ * @param {number} part - The order of the clip within the turn
+ * @param {{audioData: string, mimeType: string}} clip - The base64 audio and its type
+ * @returns {Promise<void>}
+ */
+async function saveTurnAudio(role, part, clip) {
+  try {
+    if (!(await getFromStorage("recordAudio"))) return;
+
+    const response = await sendSessionMessage({
+      action: "saveTurnAudio",
+      role,
+      part,
+      ...clip,
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+  } catch (error) {
+    console.warn("Failed to save turn audio:", error);
+  }
+}
+
+/**
+ * Sends the setup prompt that tells the AI how to run the interview
+ * @param {Object} session - The new session, with its interview plan
+ * @returns {Promise<void>}
+ */
+async function firstInterviewPrompt(session) {
+  try {
+    const planMinutes = getPlanMinutes(session.plan);
+    const personaInstructions = await buildPersonaInstructions();
     const message = `
         You are an expert coding interviewer.
         I want you to act as an interviewer for coding interviews.
-        I will be the candidate, the interview will be about this problem: ${getLeetcodeProblemTitleAndLink()}.
+        I will be the candidate, the interview will be about this problem: ${getProblemTitleAndLink()}.
         I want you to ask me one question at a time, wait for my answer, then give me feedback and ask the next question.
         The questions should be relevant to the problem and test my understanding of algorithms, data structures, and problem-solving skills.
         Start by introducing the problem as I do not know what it is about.
+        ${formatProblemDetails(session.problemDetails)}
+
+        ${personaInstructions}
+
+        Whenever my code in the editor changes, my message will end with a [Candidate code] block holding the current solution and its language.
+        Use it to comment on my actual code, point out bugs and ask follow-ups about specific lines. Never mention the block format itself.
+
+        Run the interview as a timed, ${planMinutes}-minute interview with these phases, in order:
+        ${describeInterviewPlan(session.plan)}
+        When I run or submit my code, my message will include a [Test results] block with the verdict, failing input, expected and actual output, runtime and memory.
+        React to it like an interviewer watching my screen: ask why a case fails, or probe performance, without fixing the code for me.
+        When I press the hint button, my message will include a [Hint request] block with the hint level and what that level may reveal.
+        Give exactly that much help and no more, then let me continue. Never volunteer a higher level than the one requested.
+        Each of my messages ends with an [Interview status] line giving the current phase and the time left.
+        Keep the conversation on the current phase and push me along like a real interviewer when time is running out or over.
+        When the current phase is done, or its time is up, move on: start that reply with ${nextPhaseTag} and then open the next phase.
 
         NOTE, DO NOTE START INTRODUCE THE PROBLEM YET, the interviewee will ask you to introduce the problem, to start the interview
       `;
-    const response = await chrome.runtime.sendMessage({
+    const response = await sendSessionMessage({
       action: "sendChatMessage",
-      message,
+      message: attachPhaseStatus(attachEditorContext(message)),
     });
 
     if (!response.success) {
-      throw new Error(response.message);
+      throw new Error(response.error);
     }
   } catch (error) {
     showError("Failed to send first prompt: " + error.message);
     console.error("Failed to send first prompt:", error);
   }
 }
+
+/**
+ * Formats the parsed problem for the setup prompt
+ * @param {Object|null} details - The problem details read from the page
+ * @returns {string} A [Problem] block, or an empty string when nothing was read
+ */
+function formatProblemDetails(details) {
+  if (!details || !details.statement) {
+    return "";
+  }
+
+  const lines = [
+    "Base the problem introduction and your questions on this exact problem statement, taken from the page:",
+    "[Problem]",
+  ];
+  if (details.difficulty) lines.push(`Difficulty: ${details.difficulty}`);
+  if (details.tags.length > 0) lines.push(`Topics: ${details.tags.join(", ")}`);
+  lines.push("", details.statement);
+
+  details.examples.forEach((example, index) => {
+    lines.push("", `Example ${index + 1}:`, `Input: ${example.input}`);
+    lines.push(`Output: ${example.output}`);
+    if (example.explanation) lines.push(`Explanation: ${example.explanation}`);
+  });
+
+  if (details.constraints.length > 0) {
+    lines.push("", "Constraints:", ...details.constraints);
+  }
+  if (details.followUp) {
+    lines.push("", `Follow-up: ${details.followUp}`);
+  }
+  lines.push("[End of problem]");
+
+  return lines.join("\n");
+}
+
+/**
+ * Appends the current editor code and language to a message for the interviewer
+ * The code is only attached when it changed since the last turn it was sent
+ * @param {string} message - The message to send
+ * @returns {string} The message, followed by a code block when the code changed
+ */
+function attachEditorContext(message) {
+  const code = getEditorCode();
+  if (!code || code === lastSentCode) {
+    return message;
+  }
+
+  lastSentCode = code;
+  const language = getEditorLanguage() || "unknown";
+  const partialNote = isEditorCodePartial()
+    ? "\nOnly the lines visible on screen could be read, the rest of the code may be missing."
+    : "";
+
+  return `${message}
+
+[Candidate code]
+Language: ${language}${partialNote}
+\`\`\`
+${code}
+\`\`\``;
+}
@@ -7,46 +7,91 @@
  * - Audio processing and transcription
  * - Enhanced AI interaction workflow
  * - State management throughout the recording lifecycle
+ * - Hands-free mode with voice activity detection
+ * - Text-only mode when no microphone is available
+ * - Retrying a failed turn with the recording already made
+ * - Browser, AI provider or hybrid transcription (see speech-recognition.js)
  */
 
+// Defaults for hands-free voice activity detection
+const DEFAULT_VAD_SILENCE_TIMEOUT = 1500; // ms of silence that ends an utterance
+const DEFAULT_VAD_SENSITIVITY = 5; // 1 (least) to 10 (most sensitive)
+const VAD_POLL_INTERVAL = 50; // ms between volume checks
+const VAD_REARM_DELAY = 600; // ms to wait after the AI stops before listening
+const VAD_MIN_SPEECH_DURATION = 300; // ms of speech needed to submit an utterance
+const VAD_BARGE_IN_DURATION = 250; // ms of speech over the AI needed to interrupt
+
+// Hands-free listening state
+let handsFreeEnabled = false;
+let vadStream = null;
+let vadContext = null;
+let vadAnalyser = null;
+let vadTimer = null;
+let vadSettings = {
+  silenceTimeout: DEFAULT_VAD_SILENCE_TIMEOUT,
+  sensitivity: DEFAULT_VAD_SENSITIVITY,
+};
+let vadReadySince = 0;
+let vadSpeechStartedAt = 0;
+let vadLastVoiceAt = 0;
+let vadBargeInStartedAt = 0;
+
+// Cleared when the microphone is missing or denied, the interview is then typed
+let microphoneAvailable = true;
+
+// The recording and browser transcript of the last turn that failed, kept
+// so it can be sent again
+let failedRecording = null;
+
 /**
  * Requests microphone permission from the user
+ * Without a microphone the interview continues in text-only mode
  * @returns {Promise<boolean>} Whether permission was granted
  */
 async function requestMicrophonePermission() {
   try {
     const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
     stream.getTracks().forEach((track) => track.stop()); // Stop immediately, we just wanted permission
-    return true;
+    microphoneAvailable = true;
   } catch (error) {
-    console.error("Microphone permission denied:", error);
-    showError(
-      "Microphone access is required for voice recording. Please allow microphone access and try again."
-    );
-    throw new Error("Microphone permission required");
+    console.warn("Microphone unavailable, using text-only mode:", error);
+    microphoneAvailable = false;
   }
+  return microphoneAvailable;
+}
+
+/**
+ * Opens a microphone stream with the settings used for transcription
+ * @returns {Promise<MediaStream>} The audio stream
+ */
+function getRecordingStream() {
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      echoCancellation: true,
+      noiseSuppression: true,
+      autoGainControl: true,
+      sampleRate: 16000,
+      channelCount: 1,
+    },
+  });
 }
 
 /**
  * Starts audio recording with enhanced audio settings
+ * @param {MediaStream} [sharedStream] - An already open stream to record from,
+ * left running when the recording stops (used by hands-free mode)
  * @returns {Promise<void>}
  */
-async function startRecording() {
+async function startRecording(sharedStream = null) {
   try {
     // Update UI state immediately
     updateButtonState(RecordingState.RECORDING);
     currentState = RecordingState.RECORDING;
 
+    const sttEngine = await getSttEngine();
+
     // Get high-quality audio stream
-    const stream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-        sampleRate: 16000,
-        channelCount: 1,
-      },
-    });
+    const stream = sharedStream || (await getRecordingStream());
 
     // Create MediaRecorder with optimal settings
     const mimeType = MediaRecorder.isTypeSupported("audio/webm;codecs=opus")
@@ -70,8 +115,10 @@ async function startRecording() {
 
     // Handle recording completion
     mediaRecorder.onstop = async () => {
-      // Clean up media stream
-      stream.getTracks().forEach((track) => track.stop());
+      // Clean up media stream, unless hands-free mode keeps listening on it
+      if (stream !== sharedStream) {
+        stream.getTracks().forEach((track) => track.stop());
+      }
 
       // Process the recorded audio
       await processRecordedAudio();
@@ -86,6 +133,10 @@ async function startRecording() {
 
     // Start recording with data collection interval
     mediaRecorder.start(1000); // Collect data every 1 second
+
+    if (sttEngine !== SttEngine.CLOUD) {
+      startLiveRecognition();
+    }
   } catch (error) {
     console.error("Failed to start recording:", error);
     showError("Failed to start recording: " + error.message);
@@ -123,6 +174,8 @@ async function stopRecording() {
  */
 async function processRecordedAudio() {
   try {
+    const localTranscript = await finishLiveRecognition();
+
     // Validate recorded audio
     if (audioChunks.length === 0) {
       throw new Error("No audio data recorded");
@@ -138,28 +191,128 @@ async function processRecordedAudio() {
     }
 
     // Convert to base64 for transmission
-    const audioBase64 = await blobToBase64(audioBlob);
+    await sendRecordedAnswer(
+      {
+        audioData: await blobToBase64(audioBlob),
+        mimeType: audioBlob.type,
+      },
+      localTranscript
+    );
+  } catch (error) {
+    console.error("Failed to process recorded audio:", error);
+    showError("Failed to process recording: " + error.message);
+  } finally {
+    // Reset state and cleanup, unless the candidate interrupted the AI
+    // and a new recording is already under way
+    if (currentState !== RecordingState.RECORDING) {
+      resetToReadyState();
+    }
+  }
+}
 
-    // Send to background script for AI transcription
-    const transcriptionResponse = await chrome.runtime.sendMessage({
-      action: "speechToText",
-      audioBlob: audioBase64,
-      mimeType: audioBlob.type,
-    });
+/**
+ * Transcribes a recording with the AI provider
+ * @param {{audioData: string, mimeType: string}} recording - The base64 recording
+ * @returns {Promise<string>} The transcribed text
+ * @throws {Error} When transcription fails, with the background's error code
+ */
+async function transcribeRecording(recording) {
+  // Send to background script for AI transcription
+  const transcriptionResponse = await chrome.runtime.sendMessage({
+    action: "speechToText",
+    audioBlob: recording.audioData,
+    mimeType: recording.mimeType,
+  });
+
+  if (!transcriptionResponse.success) {
+    throw createResponseError(transcriptionResponse);
+  }
+
+  return transcriptionResponse.text.trim();
+}
 
-    if (!transcriptionResponse.success) {
-      throw new Error(transcriptionResponse.error);
+/**
+ * Gets the text of a recorded answer from the selected speech-to-text engine
+ * The browser engine uses its own transcript, falling back to the AI
+ * provider when it heard nothing. The hybrid engine shows the browser
+ * transcript while the AI provider refines it, and keeps it if refining fails.
+ * @param {{audioData: string, mimeType: string}} recording - The base64 recording
+ * @param {string} localTranscript - What the browser recognized, if anything
+ * @returns {Promise<string>} The answer text
+ */
+async function getAnswerText(recording, localTranscript) {
+  const engine = await getSttEngine();
+  if (engine === SttEngine.BROWSER && localTranscript) {
+    return localTranscript;
+  }
+
+  if (engine === SttEngine.HYBRID && localTranscript) {
+    showLiveCaption(`${localTranscript} (refining…)`);
+  }
+
+  try {
+    return await transcribeRecording(recording);
+  } catch (error) {
+    if (
+      engine !== SttEngine.HYBRID ||
+      !localTranscript ||
+      error.code === "CANCELLED"
+    ) {
+      throw error;
     }
+    console.warn("Failed to refine transcript, using the browser's:", error);
+    return localTranscript;
+  }
+}
 
-    const userText = transcriptionResponse.text.trim();
+/**
+ * Transcribes a recorded answer and sends it to the interviewer
+ * When the turn fails the recording is kept, so it can be retried without
+ * speaking again
+ * @param {{audioData: string, mimeType: string}} recording - The base64 recording
+ * @param {string} [localTranscript=""] - What the browser recognized, if anything
+ * @returns {Promise<void>}
+ */
+async function sendRecordedAnswer(recording, localTranscript = "") {
+  try {
+    const userText = await getAnswerText(recording, localTranscript);
+    hideLiveCaption();
 
-    await handleUserInteraction(userText);
+    await handleUserInteraction(userText, recording);
+    failedRecording = null;
   } catch (error) {
-    console.error("Failed to process recorded audio:", error);
-    showError("Failed to process recording: " + error.message);
+    hideLiveCaption();
+
+    // A stopped interview cancels its requests, that is not a failure
+    if (error.code === "CANCELLED") return;
+
+    console.error("Failed to send recorded answer:", error);
+    failedRecording = { recording, localTranscript };
+    showError(
+      `Failed to process recording: ${error.message}. Use "Retry turn" to send the same recording again.`
+    );
+  }
+}
+
+/**
+ * Sends the recording of the last failed turn again
+ * @returns {Promise<void>}
+ */
+async function retryFailedTurn() {
+  if (!failedRecording || currentState !== RecordingState.READY) return;
+
+  updateButtonState(RecordingState.PROCESSING);
+  currentState = RecordingState.PROCESSING;
+
+  try {
+    await sendRecordedAnswer(
+      failedRecording.recording,
+      failedRecording.localTranscript
+    );
   } finally {
-    // Reset state and cleanup
-    resetToReadyState();
+    if (currentState === RecordingState.PROCESSING) {
+      resetToReadyState();
+    }
   }
 }
 
@@ -170,9 +323,11 @@ function resetToReadyState() {
   // Update UI state
   updateButtonState(RecordingState.READY);
   currentState = RecordingState.READY;
+  vadReadySince = Date.now();
 
   // Clean up recording data
   audioChunks = [];
+  abortLiveRecognition();
 
   // Clean up media recorder
   if (mediaRecorder) {
@@ -187,6 +342,17 @@ function resetToReadyState() {
   }
 }
 
+/**
+ * Drops the current recording without sending it for transcription
+ */
+function discardRecording() {
+  if (mediaRecorder) {
+    mediaRecorder.onstop = null;
+    mediaRecorder.ondataavailable = null;
+  }
+  resetToReadyState();
+}
+
 /**
  * Gets the current recording state
  * @returns {RecordingState} Current state
@@ -213,3 +379,183 @@ function isProcessing() {
     currentState === RecordingState.AI_SPEAKING
   );
 }
+
+/**
+ * Reads hands-free settings and starts or stops listening accordingly
+ * @returns {Promise<void>}
+ */
+async function initializeHandsFreeMode() {
+  if (!microphoneAvailable) return;
+
+  vadSettings = {
+    silenceTimeout:
+      (await getFromStorage("vadSilenceTimeout")) ||
+      DEFAULT_VAD_SILENCE_TIMEOUT,
+    sensitivity:
+      (await getFromStorage("vadSensitivity")) || DEFAULT_VAD_SENSITIVITY,
+  };
+
+  if (await getFromStorage("handsFreeMode")) {
+    await startHandsFreeListening();
+  } else {
+    stopHandsFreeListening();
+  }
+}
+
+/**
+ * Starts continuous listening that records each utterance automatically
+ * @returns {Promise<void>}
+ */
+async function startHandsFreeListening() {
+  if (handsFreeEnabled) return;
+
+  try {
+    vadStream = await getRecordingStream();
+    vadContext = new AudioContext();
+    vadAnalyser = vadContext.createAnalyser();
+    vadAnalyser.fftSize = 1024;
+    vadContext.createMediaStreamSource(vadStream).connect(vadAnalyser);
+
+    // Without a user gesture on the page the context may start suspended
+    if (vadContext.state === "suspended") {
+      document.addEventListener("click", () => vadContext?.resume(), {
+        once: true,
+      });
+      vadContext.resume();
+    }
+
+    handsFreeEnabled = true;
+    vadReadySince = Date.now();
+    vadTimer = setInterval(checkVoiceActivity, VAD_POLL_INTERVAL);
+
+    updateButtonState(currentState);
+  } catch (error) {
+    console.error("Failed to start hands-free mode:", error);
+    showError("Failed to start hands-free mode: " + error.message);
+    stopHandsFreeListening();
+  }
+}
+
+/**
+ * Stops continuous listening and releases the microphone
+ */
+function stopHandsFreeListening() {
+  if (vadTimer) {
+    clearInterval(vadTimer);
+    vadTimer = null;
+  }
+  if (vadStream) {
+    vadStream.getTracks().forEach((track) => track.stop());
+    vadStream = null;
+  }
+  if (vadContext) {
+    vadContext.close();
+    vadContext = null;
+  }
+  vadAnalyser = null;
+
+  const wasEnabled = handsFreeEnabled;
+  handsFreeEnabled = false;
+  if (wasEnabled) {
+    updateButtonState(currentState);
+  }
+}
+
+/**
+ * Measures the current microphone volume
+ * @returns {number} Root mean square amplitude between 0 and 1
+ */
+function getMicrophoneLevel() {
+  const samples = new Float32Array(vadAnalyser.fftSize);
+  vadAnalyser.getFloatTimeDomainData(samples);
+
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Volume above which the microphone counts as speech
+ * Higher sensitivity lowers the threshold
+ * @returns {number} RMS threshold
+ */
+function getVoiceThreshold() {
+  const sensitivity = Math.min(10, Math.max(1, vadSettings.sensitivity));
+  return 0.005 + (10 - sensitivity) * 0.005;
+}
+
+/**
+ * Polled while hands-free mode is on: starts recording when speech begins,
+ * interrupts the AI when the candidate talks over it, and stops recording
+ * after the configured silence timeout
+ */
+function checkVoiceActivity() {
+  if (!vadAnalyser) return;
+
+  const now = Date.now();
+  const level = getMicrophoneLevel();
+  const isVoice = level > getVoiceThreshold();
+
+  if (currentState === RecordingState.AI_SPEAKING) {
+    // Require louder, sustained speech so the AI's own voice does not interrupt it
+    if (level <= getVoiceThreshold() * 2) {
+      vadBargeInStartedAt = 0;
+    } else if (!vadBargeInStartedAt) {
+      vadBargeInStartedAt = now;
+    } else if (now - vadBargeInStartedAt >= VAD_BARGE_IN_DURATION) {
+      vadSpeechStartedAt = vadBargeInStartedAt;
+      vadLastVoiceAt = now;
+      vadBargeInStartedAt = 0;
+      interruptAIResponse();
+    }
+    return;
+  }
+  vadBargeInStartedAt = 0;
+
+  if (currentState === RecordingState.READY) {
+    // Give the room a moment to go quiet after the AI finishes speaking
+    if (isVoice && now - vadReadySince > VAD_REARM_DELAY) {
+      vadSpeechStartedAt = now;
+      vadLastVoiceAt = now;
+      startRecording(vadStream);
+    }
+    return;
+  }
+
+  if (currentState !== RecordingState.RECORDING) {
+    vadSpeechStartedAt = 0;
+    return;
+  }
+
+  if (isVoice) {
+    // A recording started by hand arms the silence timeout at the first word
+    if (!vadSpeechStartedAt) vadSpeechStartedAt = now;
+    vadLastVoiceAt = now;
+    return;
+  }
+
+  if (
+    vadSpeechStartedAt &&
+    now - vadLastVoiceAt >= vadSettings.silenceTimeout
+  ) {
+    const spokeFor = vadLastVoiceAt - vadSpeechStartedAt;
+    vadSpeechStartedAt = 0;
+
+    if (spokeFor < VAD_MIN_SPEECH_DURATION) {
+      // Too short to be an answer (a cough or a click), discard it
+      discardRecording();
+    } else {
+      stopRecording();
+    }
+  }
+}
+
+/**
+ * Checks if hands-free listening is on
+ * @returns {boolean} Whether hands-free mode is active
+ */
+function isHandsFreeActive() {
+  return handsFreeEnabled;
+}
@@ -0,0 +1,182 @@
+/**
+ * Keyboard Shortcuts Module
+ * Runs the interview actions bound to the extension's keyboard commands
+ *
+ * The commands are declared in the manifest and can be rebound on
+ * chrome://extensions/shortcuts. The background script forwards each one
+ * to the tab it was pressed in.
+ */
+
+// Command names, as declared under "commands" in the manifest
+const ShortcutCommand = {
+  TOGGLE_RECORDING: "toggle-recording",
+  HOLD_TO_TALK: "hold-to-talk",
+  REPEAT_LAST_MESSAGE: "repeat-last-message",
+  STOP_SPEECH: "stop-speech",
+  TOGGLE_INTERVIEW: "toggle-interview",
+};
+
+// Modifier names in Chrome shortcuts and the keys they stand for
+const SHORTCUT_MODIFIER_KEYS = {
+  Alt: "Alt",
+  Shift: "Shift",
+  Ctrl: "Control",
+  MacCtrl: "Control",
+  Command: "Meta",
+};
+
+// Set while a hold-to-talk recording waits for the key to be released
+let holdToTalkActive = false;
+
+/**
+ * Runs the action of a keyboard command
+ * @param {string} command - A ShortcutCommand value
+ * @param {string} [shortcut] - The keys bound to it, such as "Alt+Shift+T"
+ * @returns {Promise<void>}
+ */
+async function handleShortcut(command, shortcut) {
+  // Only starting an interview works without the on-page interface
+  const interviewRunning = Boolean(
+    document.getElementById("ai-interviewer-recorder")
+  );
+  if (!interviewRunning && command !== ShortcutCommand.TOGGLE_INTERVIEW) {
+    return;
+  }
+
+  switch (command) {
+    case ShortcutCommand.TOGGLE_RECORDING:
+      await handleRecordingClick();
+      break;
+    case ShortcutCommand.HOLD_TO_TALK:
+      await holdToTalk(shortcut);
+      break;
+    case ShortcutCommand.REPEAT_LAST_MESSAGE:
+      await repeatLastAIMessage();
+      break;
+    case ShortcutCommand.STOP_SPEECH:
+      await stopAISpeech();
+      break;
+    case ShortcutCommand.TOGGLE_INTERVIEW:
+      await (interviewRunning ? stopInterview() : startInterviewFromShortcut());
+      break;
+    default:
+      console.warn("Unknown shortcut command:", command);
+  }
+}
+
+/**
+ * Records while the shortcut is held down
+ * Commands only report the key press, so the recording stops when one of the
+ * shortcut's keys is released on the page. Presses repeated while the key is
+ * held are ignored.
+ * @param {string} [shortcut] - The keys bound to the command, any key
+ *   release stops the recording when unknown
+ * @returns {Promise<void>}
+ */
+async function holdToTalk(shortcut) {
+  if (!microphoneAvailable) return;
+
+  if (currentState === RecordingState.RECORDING) {
+    if (!holdToTalkActive) await stopRecording();
+    return;
+  }
+
+  if (currentState === RecordingState.AI_SPEAKING) {
+    await interruptAIResponse();
+  } else if (currentState === RecordingState.READY) {
+    await startRecording();
+  } else {
+    return;
+  }
+
+  holdToTalkActive = true;
+  const onKeyUp = (event) => {
+    if (!isShortcutKey(event, shortcut)) return;
+
+    window.removeEventListener("keyup", onKeyUp, { capture: true });
+    holdToTalkActive = false;
+    if (currentState === RecordingState.RECORDING) stopRecording();
+  };
+  window.addEventListener("keyup", onKeyUp, { capture: true });
+}
+
+/**
+ * Checks whether a key event is for one of a shortcut's keys
+ * @param {KeyboardEvent} event - The key event
+ * @param {string} [shortcut] - The shortcut, such as "Alt+Shift+T"
+ * @returns {boolean} True for the shortcut's keys, and for any key when the
+ *   shortcut is unknown
+ */
+function isShortcutKey(event, shortcut) {
+  if (!shortcut) return true;
+
+  return shortcut.split("+").some((part) => {
+    if (SHORTCUT_MODIFIER_KEYS[part]) {
+      return event.key === SHORTCUT_MODIFIER_KEYS[part];
+    }
+    if (/^[A-Z]$/.test(part)) return event.code === `Key${part}`;
+    if (/^[0-9]$/.test(part)) return event.code === `Digit${part}`;
+    if (["Up", "Down", "Left", "Right"].includes(part)) {
+      return event.code === `Arrow${part}`;
+    }
+    return event.code === part;
+  });
+}
+
+/**
+ * Speaks the interviewer's last reply again
+ * @returns {Promise<void>}
+ */
+async function repeatLastAIMessage() {
+  if (currentState !== RecordingState.READY) return;
+
+  const session = await getInterviewSession();
+  const lastReply = session
+    ? [...session.history].reverse().find((entry) => entry.role === "model")
+    : null;
+  if (!lastReply) {
+    showError("The interviewer has not said anything yet.");
+    return;
+  }
+
+  // The reply's audio was already kept the first time it was spoken
+  await playAIResponse(lastReply.text, false);
+}
+
+/**
+ * Stops the interviewer's speech without starting a recording
+ * It counts as an interruption, like cutting the interviewer off by speaking
+ * @returns {Promise<void>}
+ */
+async function stopAISpeech() {
+  await interruptAIResponse(false);
+}
+
+/**
+ * Starts a new interview on this page, unless the page shows no problem or
+ * the AI settings are known to be broken
+ * @returns {Promise<void>}
+ */
+async function startInterviewFromShortcut() {
+  // Content scripts also run on a site's pages that show no problem
+  if (!getCurrentSite()) {
+    showError("Open a problem page to start an interview.");
+    return;
+  }
+
+  const status =
+    (await getFromStorage("connectionStatus")) ||
+    (await chrome.runtime.sendMessage({ action: "checkConnection" })).status;
+
+  const failure = status
+    ? Object.values(status).find((result) => result && result.ok === false)
+    : { error: "the AI settings could not be checked" };
+  if (failure) {
+    showError(
+      `Cannot start the interview: ${failure.error}. Check the settings in the extension popup.`
+    );
+    return;
+  }
+
+  await startInterview(true);
+}
@@ -0,0 +1,136 @@
+/**
+ * Codeforces Site Adapter
+ * Reads problems and code from codeforces.com problem pages
+ *
+ * Codeforces shows verdicts on a separate status page, so there are no
+ * test results to read, and the statement stays visible because the page
+ * has no editor panel to focus on.
+ */
+
+/**
+ * Describes the problem on the current page
+ * Problems are identified by contest and index, such as 1520A
+ * @returns {{slug: string, title: string, url: string, site: string}} The problem
+ */
+function getCodeforcesProblemInfo() {
+  const cleanUrl = getCleanPageUrl();
+  const match =
+    cleanUrl.match(/\/problemset\/problem\/(\d+)\/(\w+)/) ||
+    cleanUrl.match(/\/(?:contest|gym)\/(\d+)\/problem\/(\w+)/);
+  const heading = document.querySelector(".problem-statement .header .title");
+
+  return {
+    slug: `codeforces-${match ? match[1] + match[2] : "unknown-problem"}`,
+    title: heading
+      ? heading.textContent.trim()
+      : document.title.replace(/\s*-\s*Codeforces$/, "").trim(),
+    url: cleanUrl,
+    site: "codeforces",
+  };
+}
+
+/**
+ * Reads the problem statement, including its examples and notes
+ * @returns {string} The statement, or an empty string if not found
+ */
+function getCodeforcesProblemStatement() {
+  const statement = document.querySelector(".problem-statement");
+  return statement ? statement.innerText.trim() : "";
+}
+
+/**
+ * Reads the problem from the statement's sections, as Codeforces statements
+ * have no "Example 1:" style headings to parse
+ * @returns {Object|null} The problem details, or null if no statement is found
+ */
+function getCodeforcesProblemDetails() {
+  const root = document.querySelector(".problem-statement");
+  if (!root) return null;
+
+  const readSection = (selector) => {
+    const section = root.querySelector(selector);
+    if (!section) return "";
+    const title = section.querySelector(".section-title");
+    return section.innerText.replace(title ? title.innerText : "", "").trim();
+  };
+
+  const legend = root.querySelector(".header + div");
+  const inputs = root.querySelectorAll(".sample-test .input pre");
+  const outputs = root.querySelectorAll(".sample-test .output pre");
+  const header = root.querySelector(".header");
+
+  // Sidebar tags hold the topics, and the rating as "*1500"
+  const tags = Array.from(document.querySelectorAll(".tag-box")).map((tag) =>
+    tag.textContent.trim()
+  );
+  const rating = tags.find((tag) => /^\*\d+$/.test(tag));
+
+  return {
+    statement: [
+      legend ? legend.innerText.trim() : "",
+      readSection(".input-specification") &&
+        `Input: ${readSection(".input-specification")}`,
+      readSection(".output-specification") &&
+        `Output: ${readSection(".output-specification")}`,
+      readSection(".note") && `Note: ${readSection(".note")}`,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+    examples: Array.from(inputs).map((input, index) => ({
+      input: input.innerText.trim(),
+      output: outputs[index] ? outputs[index].innerText.trim() : "",
+      explanation: "",
+    })),
+    constraints: header
+      ? Array.from(header.querySelectorAll(".time-limit, .memory-limit")).map(
+          (limit) => limit.innerText.replace(/\n/g, " ").trim()
+        )
+      : [],
+    followUp: "",
+    difficulty: rating ? `Rating ${rating.slice(1)}` : "",
+    tags: tags.filter((tag) => tag !== rating),
+  };
+}
+
+/**
+ * Reads the code typed into the submit form's editor, if the page has one
+ * @returns {string} The code, or an empty string if not found
+ */
+function getCodeforcesEditorCode() {
+  const textarea = document.querySelector(
+    '#sourceCodeTextarea, textarea[name="source"]'
+  );
+  if (textarea && textarea.value.trim()) {
+    return textarea.value.trimEnd();
+  }
+
+  // The Ace editor only renders visible lines, which is the best available
+  return readRenderedLines(
+    Array.from(document.querySelectorAll(".ace_editor .ace_line"))
+  );
+}
+
+/**
+ * Reads the language picked in the submit form
+ * @returns {string} The language name, or an empty string if not found
+ */
+function getCodeforcesEditorLanguage() {
+  const select = document.querySelector('select[name="programTypeId"]');
+  const option = select && select.selectedOptions[0];
+  return option ? option.textContent.trim() : "";
+}
+
+registerSiteAdapter({
+  id: "codeforces",
+  name: "Codeforces",
+  hostnames: ["codeforces.com", "www.codeforces.com"],
+  isProblemPage: (url) =>
+    /\/(?:problemset|contest\/\d+|gym\/\d+)\/problem\//.test(url.pathname),
+  getProblemInfo: getCodeforcesProblemInfo,
+  getProblemStatement: getCodeforcesProblemStatement,
+  getProblemDetails: getCodeforcesProblemDetails,
+  getEditorCode: getCodeforcesEditorCode,
+  getEditorLanguage: getCodeforcesEditorLanguage,
+  getTestResults: () => [],
+  applyFocusLayout: () => hideElements(["#sidebar", "#footer"]),
+});
@@ -0,0 +1,77 @@
+/**
+ * CodeSignal Site Adapter
+ * Reads problems, code and results from app.codesignal.com practice tasks
+ */
+
+// Verdicts CodeSignal shows after running the tests
+const CODESIGNAL_VERDICTS = [
+  "All tests passed",
+  "Tests passed",
+  "Wrong answer",
+  "Execution time limit exceeded",
+  "Runtime error",
+  "Compilation error",
+];
+
+/**
+ * Describes the task on the current page
+ * @returns {{slug: string, title: string, url: string, site: string}} The problem
+ */
+function getCodesignalProblemInfo() {
+  const cleanUrl = getCleanPageUrl();
+  const match = cleanUrl.match(/\/(?:question|task)\/([^/]+)/);
+
+  return {
+    slug: `codesignal-${match ? match[1] : "unknown-problem"}`,
+    title: document.title.replace(/\s*[|-]\s*CodeSignal.*$/, "").trim(),
+    url: cleanUrl.replace(/\/(?:description|solutions)$/, ""),
+    site: "codesignal",
+  };
+}
+
+/**
+ * Reads the task description
+ * @returns {string} The statement, or an empty string if not found
+ */
+function getCodesignalProblemStatement() {
+  const statement = document.querySelector(
+    '[data-name="description"], .task-description, .markdown'
+  );
+  return statement ? statement.innerText.trim() : "";
+}
+
+/**
+ * Reads the result of the last test run
+ * @returns {Array<Object>} The parsed result, if one is shown
+ */
+function getCodesignalTestResults() {
+  const result = parseResultPanel(
+    "run",
+    document.querySelector('[data-name="tests"], .task-tests'),
+    CODESIGNAL_VERDICTS,
+    {
+      input: ["Input:"],
+      output: ["Output:"],
+      expected: ["Expected Output:"],
+      error: ["Console Output:"],
+    }
+  );
+  return result ? [result] : [];
+}
+
+registerSiteAdapter({
+  id: "codesignal",
+  name: "CodeSignal",
+  hostnames: ["app.codesignal.com"],
+  isProblemPage: (url) => /\/(?:question|task)\/[^/]+/.test(url.pathname),
+  getProblemInfo: getCodesignalProblemInfo,
+  getProblemStatement: getCodesignalProblemStatement,
+  getEditorCode: () => readMonacoCode(document.querySelector(".monaco-editor")),
+  getEditorLanguage: () =>
+    findEditorLanguage(
+      document.querySelector(".monaco-editor")?.parentElement?.parentElement
+    ),
+  getTestResults: getCodesignalTestResults,
+  applyFocusLayout: () =>
+    hideElements(['[data-name="description"]', ".task-description"]),
+});
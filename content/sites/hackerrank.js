@@ -0,0 +1,81 @@
+/**
+ * HackerRank Site Adapter
+ * Reads problems, code and results from hackerrank.com challenge pages
+ */
+
+// Verdicts HackerRank shows after Run Code
+const HACKERRANK_VERDICTS = [
+  "Compilation error",
+  "Runtime Error",
+  "Terminated due to timeout",
+  "Wrong Answer",
+  "Congratulations",
+];
+
+/**
+ * Describes the challenge on the current page
+ * @returns {{slug: string, title: string, url: string, site: string}} The problem
+ */
+function getHackerrankProblemInfo() {
+  const cleanUrl = getCleanPageUrl();
+  const match = cleanUrl.match(/\/challenges\/([^/]+)/);
+  const heading = document.querySelector(".page-label, .challenge-page-label");
+
+  return {
+    slug: `hackerrank-${match ? match[1] : "unknown-problem"}`,
+    title: heading
+      ? heading.textContent.trim()
+      : document.title.replace(/\s*\|\s*HackerRank.*$/, "").trim(),
+    url: match
+      ? `https://www.hackerrank.com/challenges/${match[1]}/problem`
+      : cleanUrl,
+    site: "hackerrank",
+  };
+}
+
+/**
+ * Reads the challenge statement
+ * @returns {string} The statement, or an empty string if not found
+ */
+function getHackerrankProblemStatement() {
+  const statement = document.querySelector(
+    ".challenge-body-html, .problem-statement"
+  );
+  return statement ? statement.innerText.trim() : "";
+}
+
+/**
+ * Reads the result of the last Run Code
+ * @returns {Array<Object>} The parsed result, if one is shown
+ */
+function getHackerrankTestResults() {
+  const result = parseResultPanel(
+    "run",
+    document.querySelector(".testcase-result, .compile-result"),
+    HACKERRANK_VERDICTS,
+    {
+      input: ["Input (stdin)"],
+      output: ["Your Output (stdout)"],
+      expected: ["Expected Output"],
+      error: ["Compiler Message", "Error (stderr)"],
+    }
+  );
+  return result ? [result] : [];
+}
+
+registerSiteAdapter({
+  id: "hackerrank",
+  name: "HackerRank",
+  hostnames: ["www.hackerrank.com", "hackerrank.com"],
+  isProblemPage: (url) => /\/challenges\/[^/]+/.test(url.pathname),
+  getProblemInfo: getHackerrankProblemInfo,
+  getProblemStatement: getHackerrankProblemStatement,
+  getEditorCode: () => readMonacoCode(document.querySelector(".monaco-editor")),
+  getEditorLanguage: () =>
+    findEditorLanguage(
+      document.querySelector(".select-language, .code-editor-header")
+    ),
+  getTestResults: getHackerrankTestResults,
+  applyFocusLayout: () =>
+    hideElements([".challenge-body-html", ".challenge-sidebar"]),
+});
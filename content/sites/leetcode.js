@@ -0,0 +1,178 @@
+/**
+ * LeetCode Site Adapter
+ * Reads problems, code and results from leetcode.com/problems pages, whose
+ * panels are flexlayout tabs
+ */
+
+function isCodeWidget(widget) {
+  const titleElement = widget.querySelector(".view-lines");
+  return Boolean(titleElement);
+}
+function isTestResultWidget(widget) {
+  return widget.innerHTML.includes("You must run your code first");
+}
+
+/**
+ * Hides every flexlayout tab but the editor and the test results
+ * The tabs stay in the document, like the panels hideElements() hides
+ */
+function hideLeetcodeWidgetsExceptCode() {
+  const widgets = document.querySelectorAll(".flexlayout__tab");
+  widgets.forEach((widget) => {
+    if (isCodeWidget(widget)) return;
+    if (isTestResultWidget(widget)) return;
+    widget.style.display = "none";
+  });
+}
+
+/**
+ * Describes the problem on the current page for session bookkeeping
+ * Slugs are used as-is, so sessions from before other sites keep matching
+ * @returns {{slug: string, title: string, url: string, site: string}} The problem
+ */
+function getLeetcodeProblemInfo() {
+  const cleanUrl = getCleanPageUrl();
+  const match = cleanUrl.match(/\/problems\/([^/]+)/);
+
+  return {
+    slug: match ? match[1] : "unknown-problem",
+    title: document.title.replace(/ - LeetCode$/, "").trim(),
+    url: match ? `https://leetcode.com/problems/${match[1]}/` : cleanUrl,
+    site: "leetcode",
+  };
+}
+
+/**
+ * Reads the problem description panel
+ * @returns {string} The statement, or an empty string if not found
+ */
+function getLeetcodeProblemStatement() {
+  const description = document.querySelector(
+    '[data-track-load="description_content"]'
+  );
+  return description ? description.innerText.trim() : "";
+}
+
+/**
+ * Reads the difficulty badge of the description panel
+ * @returns {string} "Easy", "Medium" or "Hard", or an empty string if not found
+ */
+function getLeetcodeProblemDifficulty() {
+  const badge = document.querySelector('[class*="text-difficulty-"]');
+  return badge ? badge.textContent.trim() : "";
+}
+
+/**
+ * Reads the topic tags of the description panel
+ * @returns {Array<string>} The tag names
+ */
+function getLeetcodeProblemTags() {
+  const names = Array.from(document.querySelectorAll('a[href^="/tag/"]'))
+    .map((link) => link.textContent.trim())
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+/**
+ * Finds the flexlayout tab that hosts the Monaco editor
+ * @returns {Element|null} The code widget, or null when it is not on the page
+ */
+function getLeetcodeCodeWidget() {
+  const widgets = document.querySelectorAll(".flexlayout__tab");
+  for (const widget of widgets) {
+    if (isCodeWidget(widget)) return widget;
+  }
+  return null;
+}
+
+// Verdicts LeetCode shows after Run or Submit
+const LEETCODE_VERDICTS = [
+  "Accepted",
+  "Wrong Answer",
+  "Runtime Error",
+  "Compile Error",
+  "Time Limit Exceeded",
+  "Memory Limit Exceeded",
+  "Output Limit Exceeded",
+];
+
+/**
+ * Finds the panels showing Run (console) and Submit (submission) results
+ * @returns {Array<{kind: string, element: Element}>} The result panels on the page
+ */
+function getLeetcodeTestResultPanels() {
+  const panels = [];
+  const consoleResult = document.querySelector(
+    '[data-e2e-locator="console-result"]'
+  );
+  if (consoleResult) {
+    panels.push({
+      kind: "run",
+      element: consoleResult.closest(".flexlayout__tab") || consoleResult,
+    });
+  }
+
+  const submissionResult = document.querySelector(
+    '[data-e2e-locator="submission-result"]'
+  );
+  if (submissionResult) {
+    panels.push({
+      kind: "submit",
+      element: submissionResult.closest(".flexlayout__tab") || submissionResult,
+    });
+  }
+  return panels;
+}
+
+/**
+ * Extracts the verdict and details from a Run or Submit result panel
+ * @param {{kind: string, element: Element}} panel - A panel from getLeetcodeTestResultPanels
+ * @returns {Object|null} The parsed result, or null while no verdict is shown
+ */
+function parseLeetcodeTestResult(panel) {
+  const text = panel.element.innerText || "";
+  const verdictElement = panel.element.querySelector(
+    '[data-e2e-locator="console-result"], [data-e2e-locator="submission-result"]'
+  );
+  const verdict =
+    (verdictElement && verdictElement.textContent.trim()) ||
+    LEETCODE_VERDICTS.find((item) => text.includes(item));
+  if (!verdict) return null;
+
+  const runtime = text.match(/Runtime[\s:]*([\d.]+\s*ms)/i);
+  const memory = text.match(/Memory[\s:]*([\d.]+\s*MB)/i);
+  const passed = text.match(/(\d+)\s*\/\s*(\d+)\s*testcases passed/i);
+
+  return {
+    kind: panel.kind,
+    verdict,
+    passed: passed ? `${passed[1]}/${passed[2]}` : "",
+    input:
+      getLabeledValue(panel.element, "Input") ||
+      getLabeledValue(panel.element, "Last Executed Input"),
+    output: getLabeledValue(panel.element, "Output"),
+    expected: getLabeledValue(panel.element, "Expected"),
+    error: /Error/.test(verdict)
+      ? (panel.element.querySelector(".text-red-s, .text-red-60") || {})
+          .innerText || ""
+      : "",
+    runtime: runtime ? runtime[1] : "",
+    memory: memory ? memory[1] : "",
+  };
+}
+
+registerSiteAdapter({
+  id: "leetcode",
+  name: "LeetCode",
+  hostnames: ["leetcode.com"],
+  isProblemPage: (url) => /^\/problems\/[^/]+/.test(url.pathname),
+  getProblemInfo: getLeetcodeProblemInfo,
+  getProblemStatement: getLeetcodeProblemStatement,
+  getProblemDifficulty: getLeetcodeProblemDifficulty,
+  getProblemTags: getLeetcodeProblemTags,
+  getEditorCode: () => readMonacoCode(getLeetcodeCodeWidget()),
+  getEditorLanguage: () => findEditorLanguage(getLeetcodeCodeWidget()),
+  getTestResults: () =>
+    getLeetcodeTestResultPanels().map(parseLeetcodeTestResult).filter(Boolean),
+  applyFocusLayout: hideLeetcodeWidgetsExceptCode,
+});
@@ -0,0 +1,78 @@
+/**
+ * NeetCode Site Adapter
+ * Reads problems, code and results from neetcode.io problem pages
+ */
+
+// Verdicts NeetCode shows after Run or Submit
+const NEETCODE_VERDICTS = [
+  "Accepted",
+  "Wrong Answer",
+  "Runtime Error",
+  "Compile Error",
+  "Compilation Error",
+  "Time Limit Exceeded",
+  "Memory Limit Exceeded",
+];
+
+/**
+ * Describes the problem on the current page
+ * @returns {{slug: string, title: string, url: string, site: string}} The problem
+ */
+function getNeetcodeProblemInfo() {
+  const cleanUrl = getCleanPageUrl();
+  const match = cleanUrl.match(/\/problems\/([^/]+)/);
+  const heading = document.querySelector(
+    ".my-article-component-container h1, app-article h1"
+  );
+
+  return {
+    slug: `neetcode-${match ? match[1] : "unknown-problem"}`,
+    title: heading
+      ? heading.textContent.trim()
+      : document.title.replace(/\s*-\s*NeetCode$/, "").trim(),
+    url: match ? `https://neetcode.io/problems/${match[1]}` : cleanUrl,
+    site: "neetcode",
+  };
+}
+
+/**
+ * Reads the problem article
+ * @returns {string} The statement, or an empty string if not found
+ */
+function getNeetcodeProblemStatement() {
+  const statement = document.querySelector(
+    ".my-article-component-container, app-article"
+  );
+  return statement ? statement.innerText.trim() : "";
+}
+
+/**
+ * Reads the result of the last Run or Submit
+ * @returns {Array<Object>} The parsed result, if one is shown
+ */
+function getNeetcodeTestResults() {
+  const panel = document.querySelector(".result-container, app-test-result");
+  const kind = panel && /submission/i.test(panel.innerText) ? "submit" : "run";
+  const result = parseResultPanel(kind, panel, NEETCODE_VERDICTS, {
+    input: ["Input"],
+    output: ["Your Output", "Output"],
+    expected: ["Expected output", "Expected Output"],
+    error: ["Error"],
+  });
+  return result ? [result] : [];
+}
+
+registerSiteAdapter({
+  id: "neetcode",
+  name: "NeetCode",
+  hostnames: ["neetcode.io"],
+  isProblemPage: (url) => /^\/problems\/[^/]+/.test(url.pathname),
+  getProblemInfo: getNeetcodeProblemInfo,
+  getProblemStatement: getNeetcodeProblemStatement,
+  getEditorCode: () => readMonacoCode(document.querySelector(".monaco-editor")),
+  getEditorLanguage: () =>
+    findEditorLanguage(document.querySelector(".editor-header, .code-header")),
+  getTestResults: getNeetcodeTestResults,
+  applyFocusLayout: () =>
+    hideElements([".my-article-component-container", "app-article"]),
+});
@@ -0,0 +1,423 @@
+/**
+ * Site Adapters
+ * Registry of the practice sites the interviewer runs on, and the
+ * site-independent functions the rest of the content scripts call
+ *
+ * Each site registers an adapter with registerSiteAdapter():
+ * - id, name: Stable identifier and display name
+ * - hostnames: Hosts the adapter handles
+ * - isProblemPage(url): Whether a URL shows a single problem
+ * - getProblemInfo(): {slug, title, url, site} of the problem on the page
+ * - getProblemStatement(): The problem statement as plain text
+ * - getProblemDifficulty(), getProblemTags(): Optional difficulty and topics
+ * - getProblemDetails(): Optional, replaces parsing the statement text
+ * - getEditorCode(), getEditorLanguage(): The candidate's code and language
+ * - getTestResults(): Parsed Run/Submit results shown on the page
+ * - applyFocusLayout(): Hides the page parts the interview replaces
+ */
+
+const siteAdapters = [];
+
+// Sender of the full Monaco editor text, see content/editor-bridge.js
+const EDITOR_BRIDGE_SOURCE = "ai-interviewer-editor-bridge";
+
+// Latest full editor text posted by the editor bridge, if the page has Monaco
+let bridgedEditorCode = null;
+
+// Whether the last editor read only saw the lines on screen
+let editorCodePartial = false;
+
+window.addEventListener("message", (event) => {
+  if (
+    event.source === window &&
+    event.data &&
+    event.data.source === EDITOR_BRIDGE_SOURCE &&
+    typeof event.data.code === "string"
+  ) {
+    bridgedEditorCode = event.data.code;
+  }
+});
+
+// Language names recognized in editor language pickers, longest first so
+// "JavaScript" wins over "Java" and "C++" over "C"
+const EDITOR_LANGUAGES = [
+  "TypeScript",
+  "JavaScript",
+  "Python3",
+  "Python",
+  "Kotlin",
+  "Racket",
+  "Elixir",
+  "Erlang",
+  "Swift",
+  "Scala",
+  "Ruby",
+  "Rust",
+  "Java",
+  "Dart",
+  "PHP",
+  "C++",
+  "C#",
+  "Go",
+  "C",
+];
+
+/**
+ * Adds a site adapter to the registry
+ * @param {Object} adapter - The adapter, see the module comment for its shape
+ */
+function registerSiteAdapter(adapter) {
+  siteAdapters.push(adapter);
+}
+
+/**
+ * Finds the adapter for the page, if it shows a problem on a supported site
+ * @returns {Object|null} The adapter, or null on any other page
+ */
+function getCurrentSite() {
+  const url = new URL(window.location.href);
+  return (
+    siteAdapters.find(
+      (adapter) =>
+        adapter.hostnames.includes(url.hostname) && adapter.isProblemPage(url)
+    ) || null
+  );
+}
+
+/**
+ * Finds the adapter for the page, failing when the page is not supported
+ * @returns {Object} The adapter
+ * @throws {Error} When the page is not a problem on a supported site
+ */
+function requireCurrentSite() {
+  const site = getCurrentSite();
+  if (!site) {
+    throw new Error("This page is not a problem on a supported site");
+  }
+  return site;
+}
+
+/**
+ * Describes the problem on the current page for session bookkeeping
+ * @returns {{slug: string, title: string, url: string, site: string}} The problem
+ */
+function getProblemInfo() {
+  return requireCurrentSite().getProblemInfo();
+}
+
+/**
+ * Describes the problem on the current page for the interviewer
+ * @returns {string} The problem title, site and link
+ */
+function getProblemTitleAndLink() {
+  const site = requireCurrentSite();
+  const problem = site.getProblemInfo();
+  return `Title: ${problem.title}, Site: ${site.name}, Link: ${problem.url}`;
+}
+
+/**
+ * Reads the problem statement on the current page
+ * @returns {string} The statement, or an empty string if not found
+ */
+function getProblemStatement() {
+  const site = getCurrentSite();
+  return site ? site.getProblemStatement() : "";
+}
+
+/**
+ * Reads the problem on the current page as structured data
+ * Must run before applyFocusLayout(), which hides the description
+ * @returns {Object|null} The statement, examples, constraints, follow-up,
+ *   difficulty and tags, or null when no statement is found
+ */
+function getProblemDetails() {
+  const site = getCurrentSite();
+  if (!site) return null;
+
+  if (site.getProblemDetails) {
+    return site.getProblemDetails();
+  }
+
+  const text = site.getProblemStatement();
+  if (!text) return null;
+
+  return {
+    ...parseProblemStatement(text),
+    difficulty: site.getProblemDifficulty ? site.getProblemDifficulty() : "",
+    tags: site.getProblemTags ? site.getProblemTags() : [],
+  };
+}
+
+/**
+ * Reads the candidate's solution from the page's editor
+ * isEditorCodePartial() then tells whether lines may be missing
+ * @returns {string} The editor contents, or an empty string if not found
+ */
+function getEditorCode() {
+  editorCodePartial = false;
+  const site = getCurrentSite();
+  return site ? site.getEditorCode() : "";
+}
+
+/**
+ * Tells whether the last getEditorCode() only saw the lines on screen
+ * @returns {boolean} True when code scrolled out of view may be missing
+ */
+function isEditorCodePartial() {
+  return editorCodePartial;
+}
+
+/**
+ * Reads the lines an editor currently renders, flagging the read as partial
+ * @param {Array<Element>} lines - The rendered line elements in order
+ * @returns {string} Their text
+ */
+function readRenderedLines(lines) {
+  editorCodePartial = lines.length > 0;
+  return lines
+    .map((line) => line.textContent.replace(/\u00a0/g, " "))
+    .join("\n")
+    .trimEnd();
+}
+
+/**
+ * Reads the language selected in the page's editor
+ * @returns {string} The language name, or an empty string if not found
+ */
+function getEditorLanguage() {
+  const site = getCurrentSite();
+  return site ? site.getEditorLanguage() : "";
+}
+
+/**
+ * Reads the Run/Submit results shown on the page
+ * @returns {Array<Object>} Parsed results, submissions first
+ */
+function getTestResults() {
+  const site = getCurrentSite();
+  return site ? site.getTestResults() : [];
+}
+
+/**
+ * Hides the parts of the page the interview replaces
+ */
+function applyFocusLayout() {
+  requireCurrentSite().applyFocusLayout();
+}
+
+/**
+ * Splits a problem statement into its description, examples, constraints
+ * and follow-up, using the "Example 1:", "Sample Input 0" and
+ * "Constraints:" headings practice sites print
+ * @param {string} text - The statement as plain text
+ * @returns {{statement: string, examples: Array<Object>, constraints: Array<string>, followUp: string}}
+ *   The sections, examples as {input, output, explanation}
+ */
+function parseProblemStatement(text) {
+  const statement = [];
+  const constraints = [];
+  const followUp = [];
+  const examples = [];
+  let section = "statement";
+
+  String(text)
+    .replace(/\u00a0/g, " ")
+    .split("\n")
+    .forEach((rawLine) => {
+      const line = rawLine.trim();
+
+      if (/^Example\s*\d*\s*:?$/i.test(line)) {
+        examples.push([]);
+        section = "example";
+      } else if (/^Sample Input\s*\d*\s*:?$/i.test(line)) {
+        examples.push(["Input:"]);
+        section = "example";
+      } else if (
+        section === "example" &&
+        /^Sample Output\s*\d*\s*:?$/i.test(line)
+      ) {
+        examples[examples.length - 1].push("Output:");
+      } else if (/^Constraints\s*:?$/i.test(line)) {
+        section = "constraints";
+      } else if (/^Follow[- ]?up\b/i.test(line)) {
+        section = "followUp";
+        const rest = line.replace(/^Follow[- ]?up\s*:?\s*/i, "");
+        if (rest) followUp.push(rest);
+      } else if (section === "example") {
+        if (line) examples[examples.length - 1].push(line);
+      } else if (section === "constraints") {
+        if (line) constraints.push(line);
+      } else if (section === "followUp") {
+        if (line) followUp.push(line);
+      } else {
+        statement.push(line);
+      }
+    });
+
+  return {
+    statement: statement
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim(),
+    examples: examples
+      .map(parseExampleLines)
+      .filter((example) => example.input || example.output),
+    constraints,
+    followUp: followUp.join(" "),
+  };
+}
+
+/**
+ * Splits the lines of one example into input, output and explanation
+ * Labels are "Input: ..." or a bare "Explanation 0" line, and lines before
+ * any label belong to the input
+ * @param {Array<string>} lines - The example lines
+ * @returns {{input: string, output: string, explanation: string}} The example
+ */
+function parseExampleLines(lines) {
+  const fields = { input: [], output: [], explanation: [] };
+  let field = "input";
+
+  lines.forEach((line) => {
+    const label = line.match(
+      /^(Input|Output|Explanation)\s*\d*\s*(?::\s*(.*))?$/i
+    );
+    if (label) {
+      field = label[1].toLowerCase();
+      if (label[2]) fields[field].push(label[2]);
+    } else {
+      fields[field].push(line);
+    }
+  });
+
+  return {
+    input: fields.input.join("\n"),
+    output: fields.output.join("\n"),
+    explanation: fields.explanation.join("\n"),
+  };
+}
+
+/**
+ * Reads the text of a Monaco editor
+ * The editor bridge posts the full text from the page. Without it only the
+ * rendered lines can be read, ordered by their offset.
+ * @param {Element|null} root - An element containing the editor
+ * @returns {string} The editor contents, or an empty string if not found
+ */
+function readMonacoCode(root) {
+  if (!root) return "";
+  if (bridgedEditorCode !== null) return bridgedEditorCode.trimEnd();
+
+  const lines = Array.from(root.querySelectorAll(".view-lines .view-line"));
+  lines.sort(
+    (a, b) => (parseFloat(a.style.top) || 0) - (parseFloat(b.style.top) || 0)
+  );
+  return readRenderedLines(lines);
+}
+
+/**
+ * Finds the language picked in an editor toolbar
+ * @param {Element|null} root - An element containing the language picker
+ * @returns {string} The language label, or an empty string if not found
+ */
+function findEditorLanguage(root) {
+  if (!root) return "";
+
+  const controls = root.querySelectorAll(
+    'button, select, [role="combobox"], [class*="language"]'
+  );
+  for (const control of controls) {
+    const label =
+      control.tagName === "SELECT"
+        ? (control.selectedOptions[0] || {}).textContent || ""
+        : control.textContent;
+    const trimmed = label.trim();
+    if (trimmed.length > 30) continue;
+
+    const language = EDITOR_LANGUAGES.find(
+      (name) =>
+        trimmed === name ||
+        (trimmed.startsWith(name) && !/[\w+#]/.test(trimmed[name.length]))
+    );
+    if (language) return trimmed;
+  }
+  return "";
+}
+
+/**
+ * Reads the value shown under a label such as "Input" or "Expected"
+ * @param {Element} panel - The result panel
+ * @param {string} labelText - The exact label text
+ * @returns {string} The value, or an empty string if the label is absent
+ */
+function getLabeledValue(panel, labelText) {
+  const labels = Array.from(panel.querySelectorAll("div, span, label")).filter(
+    (element) =>
+      element.children.length === 0 && element.textContent.trim() === labelText
+  );
+
+  for (const label of labels) {
+    const value =
+      label.nextElementSibling || label.parentElement.nextElementSibling;
+    if (value && value.innerText.trim()) {
+      return value.innerText.trim();
+    }
+  }
+  return "";
+}
+
+/**
+ * Reads a result panel by looking for known verdicts and labelled values
+ * @param {string} kind - "run" or "submit"
+ * @param {Element|null} element - The result panel
+ * @param {Array<string>} verdicts - Verdict texts the site shows
+ * @param {Object<string, Array<string>>} labels - Label texts for input, output, expected and error
+ * @returns {Object|null} The parsed result, or null while no verdict is shown
+ */
+function parseResultPanel(kind, element, verdicts, labels) {
+  if (!element) return null;
+
+  const text = element.innerText || "";
+  const verdict = verdicts.find((item) => text.includes(item));
+  if (!verdict) return null;
+
+  const readLabel = (names = []) =>
+    names.map((name) => getLabeledValue(element, name)).find(Boolean) || "";
+  const passed = text.match(
+    /(\d+)\s*\/\s*(\d+)\s*(?:tests?|test ?cases?)?\s*passed/i
+  );
+  const runtime = text.match(/(?:Runtime|Time)[\s:]*([\d.]+\s*m?s)\b/i);
+  const memory = text.match(/Memory[\s:]*([\d.]+\s*[KMG]B)/i);
+
+  return {
+    kind,
+    verdict,
+    passed: passed ? `${passed[1]}/${passed[2]}` : "",
+    input: readLabel(labels.input),
+    output: readLabel(labels.output),
+    expected: readLabel(labels.expected),
+    error: readLabel(labels.error),
+    runtime: runtime ? runtime[1] : "",
+    memory: memory ? memory[1] : "",
+  };
+}
+
+/**
+ * Hides page elements, keeping them in the document so they can still be read
+ * @param {Array<string>} selectors - CSS selectors of the elements to hide
+ */
+function hideElements(selectors) {
+  selectors.forEach((selector) => {
+    document.querySelectorAll(selector).forEach((element) => {
+      element.style.display = "none";
+    });
+  });
+}
+
+/**
+ * Builds the canonical URL of the current page, without query or hash
+ * @returns {string} The URL
+ */
+function getCleanPageUrl() {
+  return window.location.href.split(/[?#]/)[0].trim();
+}
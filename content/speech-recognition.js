@@ -0,0 +1,127 @@
+/**
+ * Speech Recognition Module
+ * Transcribes answers with the browser's built-in speech recognition
+ *
+ * Features:
+ * - Selectable engine: the AI provider, the browser, or both
+ * - Live interim captions while the candidate speaks
+ * - Falls back to the AI provider when the browser has no recognition
+ *
+ * The browser engine runs next to the MediaRecorder, so every answer is
+ * still recorded for audio storage, hybrid refinement and retries.
+ */
+
+const STT_ENGINE_KEY = "sttEngine";
+
+// Speech-to-text engines
+const SttEngine = {
+  CLOUD: "cloud",
+  BROWSER: "browser",
+  HYBRID: "hybrid",
+};
+
+// How long to wait for the last results once recognition is stopped
+const RECOGNITION_STOP_TIMEOUT = 1500;
+
+const SpeechRecognitionApi =
+  window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+let liveRecognition = null;
+let liveFinalText = "";
+let liveInterimText = "";
+let liveRecognitionEnded = null;
+
+/**
+ * Gets the speech-to-text engine to use
+ * @returns {Promise<string>} A SttEngine value, the AI provider when the
+ *   browser cannot recognize speech
+ */
+async function getSttEngine() {
+  const engine = (await getFromStorage(STT_ENGINE_KEY)) || SttEngine.CLOUD;
+  return SpeechRecognitionApi ? engine : SttEngine.CLOUD;
+}
+
+/**
+ * Starts browser recognition for the answer being recorded, showing
+ * interim captions as the candidate speaks
+ */
+function startLiveRecognition() {
+  abortLiveRecognition();
+
+  liveFinalText = "";
+  liveInterimText = "";
+  liveRecognition = new SpeechRecognitionApi();
+  liveRecognition.continuous = true;
+  liveRecognition.interimResults = true;
+  liveRecognition.lang = navigator.language || "en-US";
+
+  liveRecognition.onresult = (event) => {
+    let interim = "";
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const result = event.results[i];
+      if (result.isFinal) {
+        liveFinalText += result[0].transcript;
+      } else {
+        interim += result[0].transcript;
+      }
+    }
+    liveInterimText = interim;
+    showLiveCaption(`${liveFinalText}${interim}`);
+  };
+
+  liveRecognition.onerror = (event) => {
+    // "no-speech" and "aborted" are normal ends of an answer
+    if (event.error !== "no-speech" && event.error !== "aborted") {
+      console.warn("Speech recognition error:", event.error);
+    }
+  };
+
+  const recognition = liveRecognition;
+  liveRecognitionEnded = new Promise((resolve) => {
+    recognition.onend = resolve;
+  });
+
+  try {
+    liveRecognition.start();
+  } catch (error) {
+    console.warn("Failed to start speech recognition:", error);
+    liveRecognition = null;
+  }
+}
+
+/**
+ * Stops browser recognition and waits for its last results
+ * @returns {Promise<string>} The recognized answer, empty when nothing was heard
+ */
+async function finishLiveRecognition() {
+  if (!liveRecognition) return "";
+
+  const recognition = liveRecognition;
+  liveRecognition = null;
+  recognition.stop();
+
+  await Promise.race([
+    liveRecognitionEnded,
+    new Promise((resolve) => setTimeout(resolve, RECOGNITION_STOP_TIMEOUT)),
+  ]);
+
+  // Results arriving after the timeout would bring back a stale caption
+  recognition.onresult = null;
+  recognition.onerror = null;
+  recognition.abort();
+
+  // Words still interim when recognition stopped are better than none
+  return `${liveFinalText}${liveInterimText}`.trim();
+}
+
+/**
+ * Stops browser recognition and drops what it heard
+ */
+function abortLiveRecognition() {
+  if (liveRecognition) {
+    liveRecognition.onresult = null;
+    liveRecognition.abort();
+    liveRecognition = null;
+  }
+  hideLiveCaption();
+}
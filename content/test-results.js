@@ -0,0 +1,195 @@
+/**
+ * Test Results Module
+ * Watches the practice site's Run and Submit results and shares them with the interviewer
+ *
+ * Features:
+ * - Detection of new Run/Submit verdicts on the page
+ * - Verdict, failing input, expected vs. actual output, runtime and memory
+ * - Immediate interviewer reaction, or queued for the next turn when busy
+ */
+
+// How long the result panel must be stable before it is read
+const TEST_RESULT_SETTLE_DELAY = 800;
+
+// The interviewer's own elements, whose updates are not result changes
+const INTERVIEWER_ELEMENT_SELECTOR =
+  '[id^="ai-interviewer-"], .ai-notification';
+
+// The candidate's side of a turn that only shares test results
+const TEST_RESULT_TURN =
+  "(No words from me, I just ran my code. React to the result as an interviewer watching my screen would.)";
+
+let testResultObserver = null;
+let testResultTimer = null;
+let lastTestResultSignature = null;
+let pendingTestResults = [];
+let attachedTestResultCount = 0;
+
+/**
+ * Starts watching the page for new Run or Submit results
+ */
+function startTestResultWatcher() {
+  stopTestResultWatcher();
+
+  // Results already on screen belong to earlier runs
+  lastTestResultSignature = getTestResultSignature(readLatestTestResult());
+
+  testResultObserver = new MutationObserver((mutations) => {
+    if (mutations.every(isInterviewerMutation)) return;
+
+    clearTimeout(testResultTimer);
+    testResultTimer = setTimeout(
+      checkForNewTestResult,
+      TEST_RESULT_SETTLE_DELAY
+    );
+  });
+  testResultObserver.observe(document.body, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+  });
+}
+
+/**
+ * Stops watching for results and drops any that were not sent
+ */
+function stopTestResultWatcher() {
+  if (testResultObserver) {
+    testResultObserver.disconnect();
+    testResultObserver = null;
+  }
+  clearTimeout(testResultTimer);
+  pendingTestResults = [];
+  attachedTestResultCount = 0;
+}
+
+/**
+ * Checks whether a page change only touched the interviewer's own elements
+ * @param {MutationRecord} mutation - The change
+ * @returns {boolean} True when the site's own content did not change
+ */
+function isInterviewerMutation(mutation) {
+  if (isInterviewerNode(mutation.target)) return true;
+
+  const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+  return nodes.length > 0 && nodes.every(isInterviewerNode);
+}
+
+/**
+ * Checks whether a node belongs to the interviewer's own elements
+ * @param {Node} node - The node
+ * @returns {boolean} True for the interviewer's elements and their contents
+ */
+function isInterviewerNode(node) {
+  const element =
+    node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return Boolean(element && element.closest(INTERVIEWER_ELEMENT_SELECTOR));
+}
+
+/**
+ * Reads the most relevant result on the page, preferring a submission
+ * @returns {Object|null} The parsed result
+ */
+function readLatestTestResult() {
+  const results = getTestResults();
+  return (
+    results.find((result) => result.kind === "submit") || results[0] || null
+  );
+}
+
+/**
+ * Identifies a result so the same verdict is not reported twice
+ * @param {Object|null} result - A parsed result
+ * @returns {string|null} The signature
+ */
+function getTestResultSignature(result) {
+  return result ? JSON.stringify(result) : null;
+}
+
+/**
+ * Reports the result on the page if it differs from the last one reported
+ * @returns {Promise<void>}
+ */
+async function checkForNewTestResult() {
+  const result = readLatestTestResult();
+  const signature = getTestResultSignature(result);
+  if (!result || signature === lastTestResultSignature) return;
+
+  lastTestResultSignature = signature;
+  pendingTestResults.push(formatTestResult(result));
+  await captureCodeSnapshot("test-run");
+
+  // Let the interviewer react right away unless the candidate is mid-turn
+  if (currentState === RecordingState.READY) {
+    await reportTestResultsToInterviewer();
+  }
+}
+
+/**
+ * Describes a result for the interviewer
+ * @param {Object} result - A parsed result
+ * @returns {string} The result as labelled lines
+ */
+function formatTestResult(result) {
+  const lines = [
+    `${result.kind === "submit" ? "Submit" : "Run"} verdict: ${result.verdict}`,
+  ];
+  if (result.passed) lines.push(`Test cases passed: ${result.passed}`);
+  if (result.input) lines.push(`Input:\n${result.input}`);
+  if (result.output) lines.push(`Output:\n${result.output}`);
+  if (result.expected) lines.push(`Expected:\n${result.expected}`);
+  if (result.error) lines.push(`Error:\n${result.error}`);
+  if (result.runtime) lines.push(`Runtime: ${result.runtime}`);
+  if (result.memory) lines.push(`Memory: ${result.memory}`);
+  return lines.join("\n");
+}
+
+/**
+ * Appends queued test results to a message for the interviewer
+ * They stay queued until markTestResultsSent confirms the message arrived
+ * @param {string} message - The message to send
+ * @returns {string} The message with a [Test results] block if any are queued
+ */
+function attachTestResults(message) {
+  attachedTestResultCount = pendingTestResults.length;
+  if (pendingTestResults.length === 0) return message;
+
+  const results = pendingTestResults.join("\n\n");
+  return `${message}
+
+[Test results] I just ran my code:
+${results}`;
+}
+
+/**
+ * Drops the queued test results the last message carried
+ * Results queued while that message was on its way stay for the next one
+ */
+function markTestResultsSent() {
+  pendingTestResults = pendingTestResults.slice(attachedTestResultCount);
+  attachedTestResultCount = 0;
+}
+
+/**
+ * Sends queued test results to the interviewer and plays its reaction
+ * @returns {Promise<void>}
+ */
+async function reportTestResultsToInterviewer() {
+  updateButtonState(RecordingState.PROCESSING);
+  currentState = RecordingState.PROCESSING;
+
+  try {
+    const aiResponse = await requestInterviewerReply(TEST_RESULT_TURN);
+    showTranscribedText(TEST_RESULT_TURN);
+    await handleAIResponse(aiResponse);
+  } catch (error) {
+    console.error("Failed to report test results:", error);
+    if (error.code !== "CANCELLED") {
+      showError("Failed to share test results: " + error.message);
+    }
+  } finally {
+    if (currentState === RecordingState.PROCESSING) {
+      resetToReadyState();
+    }
+  }
+}
@@ -5,10 +5,16 @@
  * Features:
  * - Floating recording button with state management
  * - Visual feedback for recording states
- * - Text display for transcriptions and AI responses
+ * - Collapsible transcript panel for the running conversation
+ * - Typed answer box for practicing without speaking
+ * - Hint button climbing the hint ladder
+ * - Retry button for a turn that failed
+ * - Live captions while the browser recognizes speech
  * - Error handling and user notifications
  */
 
+const TRANSCRIPT_COLLAPSED_KEY = "transcriptPanelCollapsed";
+
 /**
  * Creates the floating recording button interface
  */
@@ -30,6 +36,8 @@ function createRecordingButton() {
     padding: 2px;
     border: 1px solid #dee2e6;
     transition: all 0.3s ease;
+    display: flex;
+    gap: 2px;
   `;
 
   // Create the actual button
@@ -61,10 +69,87 @@ function createRecordingButton() {
   recordingButton.addEventListener("click", handleRecordingClick);
 
   // Append to container and page
-  buttonContainer.appendChild(recordingButton);
+  buttonContainer.append(
+    recordingButton,
+    createHintButton(),
+    createRetryTurnButton()
+  );
   document.body.appendChild(buttonContainer);
 }
 
+/**
+ * Creates the button that asks the interviewer for the next hint
+ * @returns {HTMLButtonElement} The hint button
+ */
+function createHintButton() {
+  const hintButton = document.createElement("button");
+  hintButton.id = "ai-interviewer-hint-btn";
+  hintButton.textContent = "💡 Hint";
+  hintButton.title =
+    "Ask for the next hint: nudge → data structure → key insight → pseudocode, as far as the hint policy allows";
+  hintButton.style.cssText = `
+    background: white;
+    border: none;
+    border-radius: 6px;
+    color: #333;
+    padding: 8px 10px;
+    font-size: 12px;
+    font-weight: 600;
+    cursor: pointer;
+  `;
+  hintButton.addEventListener("click", requestHint);
+  return hintButton;
+}
+
+/**
+ * Creates the button that sends the recording of a failed turn again
+ * It stays hidden until a turn fails
+ * @returns {HTMLButtonElement} The retry button
+ */
+function createRetryTurnButton() {
+  const retryButton = document.createElement("button");
+  retryButton.id = "ai-interviewer-retry-btn";
+  retryButton.textContent = "↻ Retry turn";
+  retryButton.title = "Send your last recording again";
+  retryButton.style.cssText = `
+    background: #fce8e6;
+    border: none;
+    border-radius: 6px;
+    color: #c5221f;
+    padding: 8px 10px;
+    font-size: 12px;
+    font-weight: 600;
+    cursor: pointer;
+    display: none;
+  `;
+  retryButton.addEventListener("click", retryFailedTurn);
+  return retryButton;
+}
+
+/**
+ * Shows the retry button while a failed turn waits to be sent again
+ * @param {RecordingState} state - The current recording state
+ */
+function updateRetryTurnButtonState(state) {
+  const retryButton = document.getElementById("ai-interviewer-retry-btn");
+  if (retryButton) {
+    retryButton.style.display =
+      failedRecording && state === RecordingState.READY ? "block" : "none";
+  }
+}
+
+/**
+ * Enables asking for a hint only while the interviewer is waiting
+ * @param {RecordingState} state - The current recording state
+ */
+function updateHintButtonState(state) {
+  const hintButton = document.getElementById("ai-interviewer-hint-btn");
+  if (hintButton) {
+    hintButton.disabled = state !== RecordingState.READY;
+    hintButton.style.opacity = hintButton.disabled ? "0.5" : "1";
+  }
+}
+
 /**
  * Removes the recording button from the page
  */
@@ -87,11 +172,25 @@ function updateButtonState(state) {
 
   switch (state) {
     case RecordingState.READY:
+      if (!microphoneAvailable) {
+        recordingButton.innerHTML = `
+          <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M20 5H4C2.9 5 2 5.9 2 7V17C2 18.1 2.9 19 4 19H20C21.1 19 22 18.1 22 17V7C22 5.9 21.1 5 20 5M11 8H13V10H11V8M11 11H13V13H11V11M8 8H10V10H8V8M8 11H10V13H8V11M7 13H5V11H7V13M7 10H5V8H7V10M16 17H8V15H16V17M16 13H14V11H16V13M16 10H14V8H16V10M19 13H17V11H19V13M19 10H17V8H19V10Z"/>
+          </svg>
+          Text only
+        `;
+        recordingButton.style.background =
+          "linear-gradient(135deg, #5f6368 0%, #80868b 100%)";
+        recordingButton.style.cursor = "default";
+        recordingButton.style.transform = "none";
+        recordingButton.disabled = true;
+        break;
+      }
       recordingButton.innerHTML = `
         <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
           <path d="M12 2C13.1 2 14 2.9 14 4V12C14 13.1 13.1 14 12 14S10 13.1 10 12V4C10 2.9 10.9 2 12 2M19 10V12C19 15.3 16.3 18 13 18V20H11V18C7.7 18 5 15.3 5 12V10H7V12C7 14.2 8.8 16 11 16H13C15.2 16 17 14.2 17 12V10H19Z"/>
         </svg>
-        Record
+        ${isHandsFreeActive() ? "Listening" : "Record"}
       `;
       recordingButton.style.background =
         "linear-gradient(135deg, #34a853 0%, #4caf50 100%)";
@@ -134,16 +233,20 @@ function updateButtonState(state) {
         <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor" class="animate-pulse">
           <path d="M3,9V15H7L12,20V4L7,9H3M16.5,12C16.5,10.23 15.5,8.71 14,7.97V16.02C15.5,15.29 16.5,13.77 16.5,12M14,3.23V5.29C16.89,6.15 19,8.83 19,12C19,15.17 16.89,17.85 14,18.71V20.77C18.01,19.86 21,16.28 21,12C21,7.72 18.01,4.14 14,3.23Z"/>
         </svg>
-        AI Speaking
+        AI Speaking · ${microphoneAvailable ? "Interrupt" : "Stop"}
       `;
       recordingButton.style.background =
         "linear-gradient(135deg, #9c27b0 0%, #e91e63 100%)";
-      recordingButton.style.cursor = "not-allowed";
-      recordingButton.style.transform = "none";
-      recordingButton.disabled = true;
+      recordingButton.style.cursor = "pointer";
+      recordingButton.style.transform = "translateY(0)";
+      recordingButton.disabled = false;
       break;
   }
 
+  updateAnswerInputState(state);
+  updateHintButtonState(state);
+  updateRetryTurnButtonState(state);
+
   // Add animations for processing and AI speaking states
   if (
     state === RecordingState.PROCESSING ||
@@ -157,15 +260,17 @@ function updateButtonState(state) {
  * Handles recording button clicks
  */
 async function handleRecordingClick() {
-  // Ignore clicks when processing or AI is speaking
+  // Ignore clicks while processing, and recording without a microphone
   if (
     currentState === RecordingState.PROCESSING ||
-    currentState === RecordingState.AI_SPEAKING
+    (currentState === RecordingState.READY && !microphoneAvailable)
   ) {
     return;
   }
 
-  if (currentState === RecordingState.READY) {
+  if (currentState === RecordingState.AI_SPEAKING) {
+    await interruptAIResponse();
+  } else if (currentState === RecordingState.READY) {
     await startRecording();
   } else if (currentState === RecordingState.RECORDING) {
     await stopRecording();
@@ -173,55 +278,331 @@ async function handleRecordingClick() {
 }
 
 /**
- * Displays text with speaker indication (user or AI)
+ * Shows what the candidate is saying above the transcript's answer box, or
+ * under the recording button when there is no transcript panel
+ * @param {string} text - The recognized words so far
+ */
+function showLiveCaption(text) {
+  let caption = document.getElementById("ai-interviewer-caption");
+  if (!caption) {
+    const answerBox = document.querySelector(
+      "#ai-interviewer-transcript .transcript-answer"
+    );
+    caption = document.createElement("div");
+    caption.id = "ai-interviewer-caption";
+    caption.style.cssText = `
+      ${
+        answerBox
+          ? "margin: 6px 8px 0;"
+          : "position: fixed; top: 60px; right: 15px; z-index: 10000; max-width: 320px;"
+      }
+      background: rgba(32, 33, 36, 0.9);
+      color: white;
+      border-radius: 8px;
+      padding: 8px 12px;
+      font-size: 13px;
+      line-height: 1.4;
+      pointer-events: none;
+    `;
+    if (answerBox) {
+      answerBox.before(caption);
+    } else {
+      document.body.appendChild(caption);
+    }
+  }
+  caption.textContent = text;
+  caption.style.display = text ? "block" : "none";
+}
+
+/**
+ * Removes the live caption
+ */
+function hideLiveCaption() {
+  const caption = document.getElementById("ai-interviewer-caption");
+  if (caption) {
+    caption.remove();
+  }
+}
+
+/**
+ * Adds a line of the conversation to the transcript panel
  * @param {string} text - The text to display
  * @param {string} speaker - Either 'user' or 'ai' to indicate the speaker
  */
 function showTranscribedText(text, speaker = "user") {
-  // Ensure theme styles are available
+  addTranscriptEntry(speaker, text, new Date().toISOString());
+}
+
+/**
+ * Creates the transcript panel and fills it with the session's conversation
+ * @param {Object} session - The session
+ * @returns {Promise<void>}
+ */
+async function createTranscriptPanel(session) {
   ensureThemeStyles();
+  removeTranscriptPanel();
+
+  const panel = document.createElement("div");
+  panel.id = "ai-interviewer-transcript";
+  panel.className = "transcript-panel";
+  if (await getFromStorage(TRANSCRIPT_COLLAPSED_KEY)) {
+    panel.classList.add("collapsed");
+  }
+
+  const header = document.createElement("div");
+  header.className = "transcript-header";
+
+  const title = document.createElement("span");
+  title.textContent = "💬 Transcript";
 
-  // Remove any existing text notifications
-  const existingNotifications = document.querySelectorAll(
-    "[data-ai-interviewer-notification]"
+  const actions = document.createElement("div");
+  actions.className = "transcript-actions";
+
+  const copyAllButton = createTranscriptButton("Copy all", "Copy transcript");
+  copyAllButton.addEventListener("click", () =>
+    copyTranscriptText(getTranscriptText(), copyAllButton)
   );
-  existingNotifications.forEach((notification) => notification.remove());
 
-  // Create the notification element
-  const notification = document.createElement("div");
-  notification.setAttribute("data-ai-interviewer-notification", "true");
-  notification.className = "ai-notification";
+  const toggleButton = createTranscriptButton("▾", "Collapse or expand");
+  toggleButton.addEventListener("click", toggleTranscriptPanel);
+
+  actions.append(copyAllButton, toggleButton);
+  header.append(title, actions);
+
+  const entries = document.createElement("div");
+  entries.className = "transcript-entries";
+
+  panel.append(header, entries, await createAnswerInput());
+  document.body.appendChild(panel);
+
+  getConversationTurns(session).forEach((entry) => {
+    addTranscriptEntry(
+      entry.role === "model" ? "ai" : "user",
+      getTurnWords(entry),
+      entry.timestamp
+    );
+    if (entry.interrupted) {
+      markLastTranscriptEntryInterrupted(entry.spokenText);
+    }
+  });
+
+  updateAnswerInputState(currentState);
+}
+
+/**
+ * Creates the box for typing answers instead of speaking them
+ * @returns {Promise<HTMLDivElement>} The answer box with its send and speak controls
+ */
+async function createAnswerInput() {
+  const container = document.createElement("div");
+  container.className = "transcript-answer";
+
+  const input = document.createElement("textarea");
+  input.className = "transcript-answer-input";
+  input.rows = 2;
+  input.placeholder =
+    "Type your answer… (Enter to send, Shift+Enter for a new line)";
+
+  const controls = document.createElement("div");
+  controls.className = "transcript-answer-controls";
+
+  const speakLabel = document.createElement("label");
+  speakLabel.className = "transcript-answer-speak";
+  const speakToggle = document.createElement("input");
+  speakToggle.type = "checkbox";
+  speakToggle.checked =
+    (await getFromStorage(SPEAK_TYPED_REPLIES_KEY)) === true;
+  speakToggle.addEventListener("change", () =>
+    setInStorage(SPEAK_TYPED_REPLIES_KEY, speakToggle.checked)
+  );
+  speakLabel.append(speakToggle, document.createTextNode(" Speak replies"));
+
+  const sendButton = createTranscriptButton("Send", "Send your answer");
+  sendButton.classList.add("transcript-answer-send");
+
+  const send = async () => {
+    if (await submitTypedAnswer(input.value)) {
+      input.value = "";
+    }
+  };
+  sendButton.addEventListener("click", send);
+
+  input.addEventListener("keydown", (event) => {
+    // Keep the site's keyboard shortcuts from reacting to typing here
+    event.stopPropagation();
+    if (event.key === "Enter" && !event.shiftKey && !event.isComposing) {
+      event.preventDefault();
+      send();
+    }
+  });
+
+  controls.append(speakLabel, sendButton);
+  container.append(input, controls);
+  return container;
+}
+
+/**
+ * Enables sending typed answers only while the interviewer is waiting
+ * @param {RecordingState} state - The current recording state
+ */
+function updateAnswerInputState(state) {
+  const sendButton = document.querySelector(
+    "#ai-interviewer-transcript .transcript-answer-send"
+  );
+  if (sendButton) {
+    sendButton.disabled = state !== RecordingState.READY;
+  }
+}
+
+/**
+ * Removes the transcript panel from the page
+ */
+function removeTranscriptPanel() {
+  const panel = document.getElementById("ai-interviewer-transcript");
+  if (panel) {
+    panel.remove();
+  }
+}
+
+/**
+ * Collapses or expands the transcript panel and remembers the choice
+ * @returns {Promise<void>}
+ */
+async function toggleTranscriptPanel() {
+  const panel = document.getElementById("ai-interviewer-transcript");
+  if (!panel) return;
+
+  const collapsed = panel.classList.toggle("collapsed");
+  await setInStorage(TRANSCRIPT_COLLAPSED_KEY, collapsed);
+}
+
+/**
+ * Appends an entry to the transcript panel and scrolls to it
+ * @param {string} speaker - Either 'user' or 'ai'
+ * @param {string} text - What was said
+ * @param {string} [timestamp] - When it was said, as an ISO date
+ */
+function addTranscriptEntry(speaker, text, timestamp) {
+  const entries = document.querySelector(
+    "#ai-interviewer-transcript .transcript-entries"
+  );
+  if (!entries) return;
 
   const isAI = speaker === "ai";
-  const themeClass = isAI ? "ai-response" : "user-transcription";
-  const speakerLabel = isAI ? "🤖 AI Interviewer" : "🎯 You";
-  const badgeText = isAI ? "RESPONSE" : "TRANSCRIBED";
-
-  notification.classList.add(themeClass);
-
-  notification.innerHTML = `
-    <div class="notification-header">
-      <span class="speaker-label">${speakerLabel}</span>
-      <span class="notification-badge">${badgeText}</span>
-    </div>
-    <div class="notification-content">
-      ${text}
-    </div>
-    <button class="notification-dismiss" onclick="this.parentElement.remove()">
-      Dismiss
-    </button>
-  `;
+  const entry = document.createElement("div");
+  entry.className = `transcript-entry ${
+    isAI ? "ai-response" : "user-transcription"
+  }`;
+  entry.dataset.speaker = isAI ? "Interviewer" : "You";
+
+  const meta = document.createElement("div");
+  meta.className = "transcript-meta";
+
+  const speakerLabel = document.createElement("span");
+  speakerLabel.className = "speaker-label";
+  speakerLabel.textContent = isAI ? "🤖 Interviewer" : "🎯 You";
+
+  const time = document.createElement("span");
+  time.className = "transcript-time";
+  time.textContent = timestamp
+    ? new Date(timestamp).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+  const copyButton = createTranscriptButton("Copy", "Copy this message");
+  copyButton.addEventListener("click", () =>
+    copyTranscriptText(content.dataset.text, copyButton)
+  );
 
-  document.body.appendChild(notification);
+  meta.append(speakerLabel, time, copyButton);
+
+  const content = document.createElement("div");
+  content.className = "transcript-text";
+  content.dataset.text = text;
+  if (isAI) {
+    content.classList.add("markdown");
+    content.appendChild(renderMarkdown(text));
+  } else {
+    content.textContent =
+      text === TEST_RESULT_TURN
+        ? "🧪 Ran the code and shared the results"
+        : text;
+  }
+
+  entry.append(meta, content);
+  entries.appendChild(entry);
+  entries.scrollTop = entries.scrollHeight;
+}
 
-  // Auto-remove after appropriate time (longer for AI responses)
-  const autoRemoveTime = isAI ? 35000 : 15000;
+/**
+ * Marks the latest interviewer entry as cut short by the candidate
+ * @param {string} spokenText - The part of the reply that was heard
+ */
+function markLastTranscriptEntryInterrupted(spokenText) {
+  const entries = document.querySelectorAll(
+    "#ai-interviewer-transcript .transcript-entry.ai-response"
+  );
+  const last = entries[entries.length - 1];
+  if (!last) return;
+
+  const content = last.querySelector(".transcript-text");
+  last.classList.add("interrupted");
+  content.classList.remove("markdown");
+  content.dataset.text = `${spokenText} …`;
+  content.textContent = content.dataset.text;
+}
+
+/**
+ * Builds the whole transcript as plain text
+ * @returns {string} One "Speaker: text" paragraph per entry
+ */
+function getTranscriptText() {
+  return Array.from(
+    document.querySelectorAll("#ai-interviewer-transcript .transcript-entry")
+  )
+    .map(
+      (entry) =>
+        `${entry.dataset.speaker}: ${
+          entry.querySelector(".transcript-text").dataset.text
+        }`
+    )
+    .join("\n\n");
+}
+
+/**
+ * Creates a small button for the transcript panel
+ * @param {string} label - The button text
+ * @param {string} title - The tooltip text
+ * @returns {HTMLButtonElement} The button
+ */
+function createTranscriptButton(label, title) {
+  const button = document.createElement("button");
+  button.className = "transcript-button";
+  button.textContent = label;
+  button.title = title;
+  return button;
+}
+
+/**
+ * Copies text to the clipboard and briefly confirms on the button
+ * @param {string} text - The text to copy
+ * @param {HTMLButtonElement} button - The button that was clicked
+ * @returns {Promise<void>}
+ */
+async function copyTranscriptText(text, button) {
+  const label = button.textContent;
+  try {
+    await navigator.clipboard.writeText(text);
+    button.textContent = "Copied";
+  } catch (error) {
+    console.error("Failed to copy transcript:", error);
+    button.textContent = "Failed";
+  }
   setTimeout(() => {
-    if (notification.parentElement) {
-      notification.style.animation = "slideOut 0.3s ease-in forwards";
-      setTimeout(() => notification.remove(), 300);
-    }
-  }, autoRemoveTime);
+    button.textContent = label;
+  }, 1500);
 }
 
 /**
@@ -229,33 +610,8 @@ function showTranscribedText(text, speaker = "user") {
  * @param {string} message - The error message to display
  */
 function showError(message) {
-  ensureThemeStyles();
-
-  const errorDiv = document.createElement("div");
-  errorDiv.className = "ai-notification error";
-
-  errorDiv.innerHTML = `
-    <div class="notification-header">
-      <span class="speaker-label">⚠️ Error</span>
-      <span class="notification-badge">SYSTEM</span>
-    </div>
-    <div class="notification-content">
-      ${message}
-    </div>
-    <button class="notification-dismiss" onclick="this.parentElement.remove()">
-      Dismiss
-    </button>
-  `;
-
-  document.body.appendChild(errorDiv);
-
   // Auto-remove after 8 seconds
-  setTimeout(() => {
-    if (errorDiv.parentElement) {
-      errorDiv.style.animation = "slideOut 0.3s ease-in forwards";
-      setTimeout(() => errorDiv.remove(), 300);
-    }
-  }, 8000);
+  showSystemNotification("error", "⚠️ Error", message, 8000);
 }
 
 /**
@@ -263,33 +619,55 @@ function showError(message) {
  * @param {string} message - The success message to display
  */
 function showSuccess(message) {
+  // Auto-remove after 5 seconds
+  showSystemNotification("success", "✅ Success", message, 5000);
+}
+
+/**
+ * Shows a system toast that removes itself after a while
+ * Messages may quote API errors, so they are always shown as plain text
+ * @param {string} variant - The toast style, "error" or "success"
+ * @param {string} label - The heading of the toast
+ * @param {string} message - The message to display
+ * @param {number} duration - Milliseconds before the toast is removed
+ */
+function showSystemNotification(variant, label, message, duration) {
   ensureThemeStyles();
 
-  const successDiv = document.createElement("div");
-  successDiv.className = "ai-notification success";
-
-  successDiv.innerHTML = `
-    <div class="notification-header">
-      <span class="speaker-label">✅ Success</span>
-      <span class="notification-badge">SYSTEM</span>
-    </div>
-    <div class="notification-content">
-      ${message}
-    </div>
-    <button class="notification-dismiss" onclick="this.parentElement.remove()">
-      Dismiss
-    </button>
-  `;
+  const notification = document.createElement("div");
+  notification.className = `ai-notification ${variant}`;
 
-  document.body.appendChild(successDiv);
+  const header = document.createElement("div");
+  header.className = "notification-header";
+
+  const speakerLabel = document.createElement("span");
+  speakerLabel.className = "speaker-label";
+  speakerLabel.textContent = label;
+
+  const badge = document.createElement("span");
+  badge.className = "notification-badge";
+  badge.textContent = "SYSTEM";
+
+  header.append(speakerLabel, badge);
+
+  const content = document.createElement("div");
+  content.className = "notification-content";
+  content.textContent = message;
+
+  const dismissButton = document.createElement("button");
+  dismissButton.className = "notification-dismiss";
+  dismissButton.textContent = "Dismiss";
+  dismissButton.addEventListener("click", () => notification.remove());
+
+  notification.append(header, content, dismissButton);
+  document.body.appendChild(notification);
 
-  // Auto-remove after 5 seconds
   setTimeout(() => {
-    if (successDiv.parentElement) {
-      successDiv.style.animation = "slideOut 0.3s ease-in forwards";
-      setTimeout(() => successDiv.remove(), 300);
+    if (notification.parentElement) {
+      notification.style.animation = "slideOut 0.3s ease-in forwards";
+      setTimeout(() => notification.remove(), 300);
     }
-  }, 5000);
+  }, duration);
 }
 
 /**
@@ -302,7 +680,7 @@ function ensureThemeStyles() {
     style.textContent = `
       .ai-notification {
         position: fixed;
-        top: 60px;
+        bottom: 20px;
         right: 15px;
         max-width: 280px;
         background: white;
@@ -317,16 +695,6 @@ function ensureThemeStyles() {
         animation: slideIn 0.3s ease-out;
       }
 
-      .ai-notification.user-transcription {
-        border-color: #4285f4;
-        background: #f0f8ff;
-      }
-
-      .ai-notification.ai-response {
-        border-color: #4CAF50;
-        background: #e8f5e8;
-      }
-
       .ai-notification.error {
         border-color: #f44336;
         background: #ffebee;
@@ -368,8 +736,6 @@ function ensureThemeStyles() {
         font-size: 12px;
       }
 
-      .user-transcription .notification-content { border-left-color: #4285f4; }
-      .ai-response .notification-content { border-left-color: #4CAF50; }
       .error .notification-content { border-left-color: #f44336; }
       .success .notification-content { border-left-color: #4CAF50; }
 
@@ -391,6 +757,189 @@ function ensureThemeStyles() {
       .error .notification-dismiss { background: #f44336; }
       .success .notification-dismiss { background: #4CAF50; }
 
+      .transcript-panel {
+        position: fixed;
+        top: 90px;
+        right: 15px;
+        width: 320px;
+        max-height: 60vh;
+        display: flex;
+        flex-direction: column;
+        background: white;
+        border: 1px solid #dee2e6;
+        border-radius: 8px;
+        box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08);
+        z-index: 10000;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 12px;
+        color: #333;
+      }
+
+      .transcript-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 6px 8px;
+        font-weight: bold;
+        border-bottom: 1px solid #e0e0e0;
+      }
+
+      .transcript-panel.collapsed .transcript-header { border-bottom: none; }
+      .transcript-panel.collapsed .transcript-entries { display: none; }
+      .transcript-panel.collapsed .transcript-actions button:last-child {
+        transform: rotate(-90deg);
+      }
+
+      .transcript-actions {
+        display: flex;
+        gap: 4px;
+      }
+
+      .transcript-button {
+        background: none;
+        border: 1px solid #dee2e6;
+        border-radius: 4px;
+        padding: 1px 6px;
+        font-size: 10px;
+        color: #555;
+        cursor: pointer;
+      }
+
+      .transcript-button:hover { background: #f1f3f4; }
+
+      .transcript-entries {
+        overflow-y: auto;
+        padding: 6px 8px;
+      }
+
+      .transcript-entry {
+        margin-bottom: 8px;
+        padding: 6px 8px;
+        border-radius: 6px;
+        border-left: 3px solid #e0e0e0;
+      }
+
+      .transcript-entry.user-transcription {
+        background: #f0f8ff;
+        border-left-color: #4285f4;
+      }
+
+      .transcript-entry.ai-response {
+        background: #e8f5e8;
+        border-left-color: #4CAF50;
+      }
+
+      .transcript-entry.interrupted .transcript-text { color: #777; }
+
+      .transcript-meta {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 4px;
+        font-size: 11px;
+        font-weight: bold;
+      }
+
+      .transcript-time {
+        flex: 1;
+        font-weight: normal;
+        color: #888;
+      }
+
+      .transcript-text {
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+
+      .transcript-answer {
+        padding: 6px 8px;
+        border-top: 1px solid #e0e0e0;
+      }
+
+      .transcript-answer-input {
+        box-sizing: border-box;
+        width: 100%;
+        resize: vertical;
+        padding: 4px 6px;
+        border: 1px solid #dee2e6;
+        border-radius: 4px;
+        font: inherit;
+        color: #333;
+        background: white;
+      }
+
+      .transcript-answer-controls {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-top: 4px;
+      }
+
+      .transcript-answer-speak {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 11px;
+        color: #555;
+        cursor: pointer;
+      }
+
+      .transcript-button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      .transcript-text.markdown { white-space: normal; }
+      .transcript-text.markdown p { margin: 0 0 6px; }
+      .transcript-text.markdown p:last-child { margin-bottom: 0; }
+      .transcript-text.markdown ul,
+      .transcript-text.markdown ol { margin: 0 0 6px; padding-left: 18px; }
+
+      .md-inline-code,
+      .md-code-block pre {
+        font-family: Menlo, Consolas, 'Liberation Mono', monospace;
+        font-size: 11px;
+      }
+
+      .md-inline-code {
+        padding: 0 3px;
+        border-radius: 3px;
+        background: rgba(0, 0, 0, 0.06);
+      }
+
+      .md-code-block {
+        margin: 0 0 6px;
+        border: 1px solid #e0e0e0;
+        border-radius: 6px;
+        background: #f8f9fa;
+        overflow: hidden;
+      }
+
+      .md-code-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 2px 6px;
+        font-size: 10px;
+        color: #666;
+        border-bottom: 1px solid #e0e0e0;
+      }
+
+      .md-code-copy {
+        background: none;
+        border: none;
+        font-size: 10px;
+        color: #4285f4;
+        cursor: pointer;
+      }
+
+      .md-code-block pre {
+        margin: 0;
+        padding: 6px;
+        overflow-x: auto;
+        white-space: pre;
+      }
+
       @keyframes slideIn {
         from { transform: translateX(100%); opacity: 0; }
         to { transform: translateX(0); opacity: 1; }
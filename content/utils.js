@@ -27,71 +27,148 @@ function blobToBase64(blob) {
   });
 }
 
-function createAndPlayWAVBuffer(pcmData, onErrorCallback, onEndedCallback) {
-  const header = new ArrayBuffer(44);
-  const view = new DataView(header);
-  const sampleRate = 24000;
-  const numChannels = 1;
-  const bitsPerSample = 16;
-  const dataLen = pcmData.byteLength;
-  const blockAlign = (numChannels * bitsPerSample) / 8;
-  const byteRate = sampleRate * blockAlign;
-  // Write WAV header
-  /* It’s best to use a WAV header generator, but here's a quick manual setup */
-
-  /* RIFF identifier */
-  writeString(view, 0, "RIFF");
-  /* file length */
-  view.setUint32(4, 36 + dataLen, true);
-  /* RIFF type */
-  writeString(view, 8, "WAVE");
-  /* format chunk identifier */
-  writeString(view, 12, "fmt ");
-  /* format chunk length */
-  view.setUint32(16, 16, true);
-  /* sample format (raw) */
-  view.setUint16(20, 1, true);
-  /* channel count */
-  view.setUint16(22, numChannels, true);
-  /* sample rate */
-  view.setUint32(24, sampleRate, true);
-  /* byte rate (sample rate * block align) */
-  view.setUint32(28, byteRate, true);
-  /* block align (channel count * bytes per sample) */
-  view.setUint16(32, blockAlign, true);
-  /* bits per sample */
-  view.setUint16(34, bitsPerSample, true);
-  /* data chunk identifier */
-  writeString(view, 36, "data");
-  /* data chunk length */
-  view.setUint32(40, dataLen, true);
-
-  function writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-      view.setUint8(offset + i, string.charCodeAt(i));
-    }
+/**
+ * Builds an error from a failed background response, keeping its error code
+ * @param {{error: string, code?: string, retryable?: boolean}} response - The response
+ * @returns {Error} The error, with "code" and "retryable" set
+ */
+function createResponseError(response) {
+  const error = new Error(response.error);
+  error.code = response.code || "UNKNOWN";
+  error.retryable = Boolean(response.retryable);
+  return error;
+}
+
+// Sample format of the PCM audio returned by the text-to-speech service
+const TTS_SAMPLE_RATE = 24000;
+
+// Shared Web Audio queue for gapless AI speech playback
+let playbackContext = null;
+let playbackSources = []; // { source, startTime, duration } in play order
+let nextPlaybackTime = 0;
+
+/**
+ * Gets the audio context used for AI speech, creating it on first use
+ * @returns {Promise<AudioContext>} The running audio context
+ */
+async function getPlaybackContext() {
+  if (!playbackContext || playbackContext.state === "closed") {
+    playbackContext = new AudioContext();
+    nextPlaybackTime = 0;
+  }
+  if (playbackContext.state === "suspended") {
+    await playbackContext.resume();
+  }
+  return playbackContext;
+}
+
+/**
+ * Queues 16-bit mono PCM audio to play right after anything already queued
+ * @param {Uint8Array} pcmData - Little-endian 16-bit PCM samples at 24kHz
+ * @returns {Promise<void>} Resolves when this chunk has finished playing
+ */
+async function enqueuePCMChunk(pcmData) {
+  const context = await getPlaybackContext();
+
+  const samples = new Int16Array(
+    pcmData.buffer,
+    pcmData.byteOffset,
+    Math.floor(pcmData.byteLength / 2)
+  );
+  const audioBuffer = context.createBuffer(1, samples.length, TTS_SAMPLE_RATE);
+  const channel = audioBuffer.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) {
+    channel[i] = samples[i] / 32768;
   }
 
-  // Combine the header and PCM data into a single Blob
-  const wavBlob = new Blob([header, pcmData], { type: "audio/wav" });
-
-  // Create an object URL from the Blob
-  const audioUrl = URL.createObjectURL(wavBlob);
-
-  // Create an audio element and play it
-  const audio = new Audio(audioUrl);
-  audio
-    .play()
-    .then(() => {})
-    .catch((error) => {
-      onErrorCallback && onErrorCallback(error);
-    });
-
-  audio.addEventListener("ended", () => {
-    // Playback ended
-    onEndedCallback && onEndedCallback();
-    onEndedCallback();
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(context.destination);
+
+  // Start exactly when the previous chunk ends, or now if the queue ran dry
+  const startTime = Math.max(context.currentTime, nextPlaybackTime);
+  nextPlaybackTime = startTime + audioBuffer.duration;
+
+  playbackSources.push({
+    source,
+    startTime,
+    duration: audioBuffer.duration,
+  });
+
+  return new Promise((resolve) => {
+    source.onended = () => {
+      playbackSources = playbackSources.filter(
+        (item) => item.source !== source
+      );
+      resolve();
+    };
+    source.start(startTime);
+  });
+}
+
+/**
+ * Stops all queued AI speech immediately
+ */
+function stopPlayback() {
+  playbackSources.forEach(({ source }) => {
+    try {
+      source.stop();
+    } catch (error) {
+      console.warn("Error stopping audio source:", error);
+    }
+  });
+  playbackSources = [];
+  nextPlaybackTime = 0;
+}
+
+/**
+ * How much of the chunk currently playing has been heard
+ * @returns {number} Fraction between 0 and 1, or 0 when nothing is playing
+ */
+function getCurrentChunkProgress() {
+  if (!playbackContext || playbackSources.length === 0) return 0;
+
+  const { startTime, duration } = playbackSources[0];
+  const elapsed = playbackContext.currentTime - startTime;
+  return Math.min(1, Math.max(0, elapsed / duration));
+}
+
+/**
+ * Splits a reply into sentences or clauses small enough to synthesize quickly
+ * Very short pieces are merged so playback does not sound choppy
+ * @param {string} text - The text to split
+ * @returns {string[]} The speech chunks, in order
+ */
+function splitIntoSpeechChunks(text) {
+  const MIN_CHUNK_LENGTH = 40;
+  const MAX_CHUNK_LENGTH = 200;
+
+  const sentences = text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+
+  // Break long sentences at clause boundaries
+  const pieces = sentences.flatMap((sentence) =>
+    sentence.length > MAX_CHUNK_LENGTH
+      ? sentence
+          .split(/(?<=[,;:])\s+/)
+          .map((clause) => clause.trim())
+          .filter(Boolean)
+      : [sentence]
+  );
+
+  const chunks = [];
+  pieces.forEach((piece) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.length < MIN_CHUNK_LENGTH) {
+      chunks[chunks.length - 1] = `${last} ${piece}`;
+    } else {
+      chunks.push(piece);
+    }
   });
+
+  return chunks;
 }
 
 /**
@@ -1,4 +1,50 @@
 import { getFromStorage, setInStorage } from "../shared/chorme-storage.js";
+import {
+  listSessions,
+  getSession,
+  createSession,
+  updateSession,
+  renameSession,
+  deleteSession,
+  getActiveSessionId,
+  setActiveSession,
+  endSession,
+} from "../shared/session-store.js";
+import {
+  AI_PROVIDERS,
+  AI_CAPABILITIES,
+  getProviderSettings,
+  updateProviderSettings,
+} from "../shared/provider-settings.js";
+import { getInterviewPlan, setPhaseBudget } from "../shared/interview-plan.js";
+import {
+  GEMINI_VOICES,
+  VOICE_PREVIEW_TEXT,
+  getVoiceSettings,
+} from "../shared/voice-settings.js";
+import { EXPORT_FORMATS, exportSession } from "../shared/transcript-export.js";
+import { SUPPORTED_SITES, findProblemSite } from "../shared/supported-sites.js";
+import {
+  SNAPSHOT_REASONS,
+  rebuildCodeSnapshots,
+} from "../shared/code-history.js";
+import {
+  RECORD_AUDIO_KEY,
+  AUDIO_LIMIT_KEY,
+  getAudioSettings,
+  getSessionClips,
+  getSessionsWithAudio,
+  deleteSessionAudio,
+  clearAllAudio,
+  getAudioUsage,
+  enforceAudioLimit,
+} from "../shared/audio-store.js";
+
+// Names shown for each AI capability in connection check results
+const CAPABILITY_LABELS = { chat: "Chat", tts: "Voice", stt: "Transcription" };
+
+// How long settings must stay unchanged before the connection is checked again
+const CONNECTION_CHECK_DELAY = 3000;
 
 document.addEventListener("DOMContentLoaded", async () => {
   const geminiApiKeyInput = document.getElementById("gemini-api-key");
@@ -10,17 +56,132 @@ document.addEventListener("DOMContentLoaded", async () => {
   const chatInput = document.getElementById("chat-input");
   const sendChatBtn = document.getElementById("send-chat-btn");
   const clearChatBtn = document.getElementById("clear-chat-btn");
+  const testGeminiBtn = document.getElementById("test-gemini-btn");
+  const geminiStatus = document.getElementById("gemini-status");
+  const connectionResults = document.getElementById("connection-results");
+  const scorecardSection = document.getElementById("scorecard-section");
+  const scorecardOverall = document.getElementById("scorecard-overall");
+  const scorecardSummary = document.getElementById("scorecard-summary");
+  const scorecardCategories = document.getElementById("scorecard-categories");
+  const sessionsList = document.getElementById("sessions-list");
+  const sessionCount = document.getElementById("session-count");
+  const chatTitle = document.getElementById("chat-title");
+  const exportFormatSelect = document.getElementById("export-format-select");
+  const exportSessionBtn = document.getElementById("export-session-btn");
+  const replaySessionBtn = document.getElementById("replay-session-btn");
+  const recordAudioToggle = document.getElementById("record-audio-toggle");
+  const audioLimitInput = document.getElementById("audio-limit-input");
+  const audioUsage = document.getElementById("audio-usage");
+  const clearAudioBtn = document.getElementById("clear-audio-btn");
+  const shortcutList = document.getElementById("shortcut-list");
+  const codeTimeline = document.getElementById("code-timeline");
+  const codeTimelineInfo = document.getElementById("code-timeline-info");
+  const codeTimelineSlider = document.getElementById("code-timeline-slider");
+  const codeTimelineCode = document.getElementById("code-timeline-code");
+  const editShortcutsBtn = document.getElementById("edit-shortcuts-btn");
+  const providerSelects = document.querySelectorAll("[data-capability]");
+  const openaiSettings = document.getElementById("openai-settings");
+  const openaiFields = document.querySelectorAll("[data-openai-field]");
+  const handsFreeToggle = document.getElementById("hands-free-toggle");
+  const sttEngineSelect = document.getElementById("stt-engine-select");
+  const vadSettings = document.getElementById("vad-settings");
+  const vadSilenceSlider = document.getElementById("vad-silence-slider");
+  const vadSilenceValue = document.getElementById("vad-silence-value");
+  const vadSensitivitySlider = document.getElementById(
+    "vad-sensitivity-slider"
+  );
+  const vadSensitivityValue = document.getElementById("vad-sensitivity-value");
+  const phaseBudgets = document.getElementById("phase-budgets");
+  const voiceSelect = document.getElementById("voice-select");
+  const previewVoiceBtn = document.getElementById("preview-voice-btn");
+  const speechRateSlider = document.getElementById("speech-rate-slider");
+  const speechRateValue = document.getElementById("speech-rate-value");
+  const speechStyleInput = document.getElementById("speech-style-input");
+  const personaSelects = document.querySelectorAll("[data-persona-setting]");
+  const solutionRevealToggle = document.getElementById(
+    "solution-reveal-toggle"
+  );
+
+  // Session whose conversation is shown in the chat panel
+  let openedSessionId = null;
+
+  // Whether the user picked that session, rather than it being shown by default
+  // Chat only continues a session the user picked
+  let sessionOpenedByUser = false;
+
+  // Last interview state shown, so status messages are only reset on changes
+  let interviewActive = null;
+
+  // Pending automatic connection check after a settings change
+  let connectionCheckTimer = null;
+
+  // Set while a popup chat request is in flight, so storage updates
+  // do not re-render the chat over the pending message
+  let chatPending = false;
+
+  // The replay in progress: its audio context, clip source and turn
+  let replay = null;
+
+  // The opened session's rebuilt code snapshots and start time, for scrubbing
+  let codeSnapshots = [];
+  let codeTimelineStart = null;
+
+  // Offer the transcript export formats
+  Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => {
+    exportFormatSelect.add(new Option(label, format));
+  });
 
   // Load saved API key
   geminiApiKeyInput.value = (await getFromStorage("apiKey")) || "";
 
-  // Load interview status
-  const isInterviewActive =
-    (await getFromStorage("isInterviewActive")) || false;
-  updateInterviewStatus(isInterviewActive);
+  // Load interview status, sessions and the opened session's conversation
+  await refreshSessions();
+
+  // Keep the popup in sync while the content and background scripts update sessions
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (
+      !chatPending &&
+      areaName === "local" &&
+      (changes.interviewSessions || changes.activeSessionId)
+    ) {
+      await refreshSessions();
+    }
+  });
+
+  // Load provider choices and endpoint settings
+  await loadProviderSettings();
+
+  // Show the last connection check
+  await renderConnectionStatus();
+
+  // Load voice choices and speech preferences
+  await loadVoiceSettings();
+
+  // Load interviewer persona settings, keeping the HTML defaults when unset
+  for (const select of personaSelects) {
+    const value = await getFromStorage(select.dataset.personaSetting);
+    if (value) select.value = value;
+  }
+  solutionRevealToggle.checked =
+    (await getFromStorage("allowSolutionReveal")) || false;
+
+  // Load interview plan budgets
+  await loadInterviewPlan();
+
+  // Load hands-free settings
+  handsFreeToggle.checked = (await getFromStorage("handsFreeMode")) || false;
+  vadSilenceSlider.value = (await getFromStorage("vadSilenceTimeout")) || 1500;
+  vadSensitivitySlider.value = (await getFromStorage("vadSensitivity")) || 5;
+  updateVadSettingsDisplay();
 
-  // Load and display conversation history
-  await loadConversationHistory();
+  // Load the speech recognition engine
+  sttEngineSelect.value = (await getFromStorage("sttEngine")) || "cloud";
+
+  // Load audio recording settings
+  await loadAudioSettings();
+
+  // Show the keyboard shortcuts
+  await loadShortcuts();
 
   // Handle API key changes
   geminiApiKeyInput.addEventListener("input", async (event) => {
@@ -28,13 +189,147 @@ document.addEventListener("DOMContentLoaded", async () => {
     await setInStorage("apiKey", apiKey);
   });
 
+  // Check the new key once the candidate is done typing it
+  geminiApiKeyInput.addEventListener("change", scheduleConnectionCheck);
+
+  // Handle the connection test button
+  testGeminiBtn.addEventListener("click", async () => {
+    await runConnectionCheck();
+  });
+
+  // Handle provider changes for each capability
+  providerSelects.forEach((select) => {
+    select.addEventListener("change", async () => {
+      await updateProviderSettings({
+        [select.dataset.capability]: select.value,
+      });
+      updateOpenAISettingsVisibility();
+      scheduleConnectionCheck();
+    });
+  });
+
+  // Handle voice and speech preference changes
+  voiceSelect.addEventListener("change", async () => {
+    await setInStorage("voiceName", voiceSelect.value);
+  });
+
+  previewVoiceBtn.addEventListener("click", previewVoice);
+
+  speechRateSlider.addEventListener("input", updateSpeechRateDisplay);
+  speechRateSlider.addEventListener("change", async () => {
+    await setInStorage("speechRate", Number(speechRateSlider.value));
+  });
+
+  speechStyleInput.addEventListener("change", async () => {
+    await setInStorage("speechStyle", speechStyleInput.value.trim());
+  });
+
+  // Handle interviewer persona changes
+  personaSelects.forEach((select) => {
+    select.addEventListener("change", async () => {
+      await setInStorage(select.dataset.personaSetting, select.value);
+    });
+  });
+
+  solutionRevealToggle.addEventListener("change", async () => {
+    await setInStorage("allowSolutionReveal", solutionRevealToggle.checked);
+  });
+
+  // Handle hands-free setting changes
+  handsFreeToggle.addEventListener("change", async () => {
+    await setInStorage("handsFreeMode", handsFreeToggle.checked);
+    updateVadSettingsDisplay();
+  });
+
+  sttEngineSelect.addEventListener("change", async () => {
+    await setInStorage("sttEngine", sttEngineSelect.value);
+  });
+
+  vadSilenceSlider.addEventListener("change", async () => {
+    await setInStorage("vadSilenceTimeout", Number(vadSilenceSlider.value));
+  });
+
+  vadSensitivitySlider.addEventListener("change", async () => {
+    await setInStorage("vadSensitivity", Number(vadSensitivitySlider.value));
+  });
+
+  vadSilenceSlider.addEventListener("input", updateVadSettingsDisplay);
+  vadSensitivitySlider.addEventListener("input", updateVadSettingsDisplay);
+
+  // Handle OpenAI-compatible endpoint changes
+  openaiFields.forEach((input) => {
+    input.addEventListener("input", async () => {
+      await updateProviderSettings({
+        openai: { [input.dataset.openaiField]: input.value.trim() },
+      });
+    });
+    input.addEventListener("change", scheduleConnectionCheck);
+  });
+
   // Handle clear chat button
   clearChatBtn.addEventListener("click", async () => {
-    if (confirm("Are you sure you want to clear the conversation history?")) {
+    if (
+      openedSessionId &&
+      confirm("Are you sure you want to clear this session's conversation?")
+    ) {
       await clearConversationHistory();
     }
   });
 
+  recordAudioToggle.addEventListener("change", async () => {
+    await setInStorage(RECORD_AUDIO_KEY, recordAudioToggle.checked);
+  });
+
+  audioLimitInput.addEventListener("change", async () => {
+    const limitMb = Math.max(10, Math.round(Number(audioLimitInput.value)));
+    audioLimitInput.value = limitMb;
+    await setInStorage(AUDIO_LIMIT_KEY, limitMb);
+    await enforceAudioLimit(await getActiveSessionId());
+    await refreshSessions();
+  });
+
+  clearAudioBtn.addEventListener("click", async () => {
+    if (!confirm("Delete the recordings of all sessions?")) return;
+    stopReplay();
+    await clearAllAudio();
+    await refreshSessions();
+  });
+
+  // Shortcuts can only be rebound on Chrome's own shortcuts page
+  editShortcutsBtn.addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+
+  // Handle replay button, which also stops a replay in progress
+  replaySessionBtn.addEventListener("click", async () => {
+    if (replay) {
+      stopReplay();
+      return;
+    }
+    try {
+      await replaySession(openedSessionId);
+    } catch (error) {
+      console.error("Failed to replay session:", error);
+      statusText.textContent = `Failed to replay: ${error.message}`;
+    }
+  });
+
+  // Scrub through the code snapshots
+  codeTimelineSlider.addEventListener("input", () => {
+    showCodeSnapshot(Number(codeTimelineSlider.value));
+  });
+
+  // Handle export button
+  exportSessionBtn.addEventListener("click", async () => {
+    if (!openedSessionId) return;
+    try {
+      await downloadSessionExport(openedSessionId, exportFormatSelect.value);
+    } catch (error) {
+      console.error("Failed to export session:", error);
+      statusText.textContent = `Failed to export: ${error.message}`;
+    }
+  });
+
   // Handle start interview button
   startBtn.addEventListener("click", async () => {
     try {
@@ -52,16 +347,21 @@ document.addEventListener("DOMContentLoaded", async () => {
       }
 
       // Check if tab is on supported domain
-      if (!tab.url.includes("leetcode.com/problems/")) {
-        throw new Error("Please navigate to a LeetCode problem page first");
+      if (!findProblemSite(tab.url)) {
+        throw new Error(
+          "Please navigate to a problem page first. Supported sites: " +
+            SUPPORTED_SITES.map((site) => site.name).join(", ")
+        );
       }
 
-      // Send message to content script
-      await chrome.tabs.sendMessage(tab.id, { action: "interviewStart" });
+      // Refuse to start with an AI setup that is known to be broken
+      const configurationProblem = await getConfigurationProblem();
+      if (configurationProblem) {
+        throw new Error(configurationProblem);
+      }
 
-      // Update status
-      await setInStorage("isInterviewActive", true);
-      updateInterviewStatus(true);
+      // Send message to content script, which creates the new session
+      await chrome.tabs.sendMessage(tab.id, { action: "interviewStart" });
 
       statusText.textContent =
         "Interview started! Use the recording button on the page.";
@@ -84,18 +384,23 @@ document.addEventListener("DOMContentLoaded", async () => {
         currentWindow: true,
       });
 
+      let stoppedByPage = false;
       if (tab) {
         try {
           // Send message to content script (may fail if content script not loaded)
           await chrome.tabs.sendMessage(tab.id, { action: "interviewStop" });
+          stoppedByPage = true;
         } catch (error) {
           // Content script might not be loaded, that's okay
           console.warn("Could not send stop message to content script:", error);
         }
       }
 
-      // Update status
-      await setInStorage("isInterviewActive", false);
+      // End the session directly when the page could not do it
+      const activeSessionId = await getActiveSessionId();
+      if (!stoppedByPage && activeSessionId) {
+        await endSession(activeSessionId);
+      }
       updateInterviewStatus(false);
 
       statusText.textContent = "Interview stopped.";
@@ -120,11 +425,671 @@ document.addEventListener("DOMContentLoaded", async () => {
   });
 
   /**
-   * Loads and displays conversation history from storage
+   * Fills the voice list and speech preference controls from storage
+   */
+  async function loadVoiceSettings() {
+    const { voiceName, speechRate, speechStyle } = await getVoiceSettings();
+
+    voiceSelect.innerHTML = "";
+    GEMINI_VOICES.forEach((voice) => {
+      const option = document.createElement("option");
+      option.value = voice.name;
+      option.textContent = `${voice.name} – ${voice.description}`;
+      voiceSelect.appendChild(option);
+    });
+    voiceSelect.value = voiceName;
+
+    speechRateSlider.value = speechRate;
+    speechStyleInput.value = speechStyle;
+    updateSpeechRateDisplay();
+  }
+
+  /**
+   * Shows the speaking rate slider value
+   */
+  function updateSpeechRateDisplay() {
+    speechRateValue.textContent = `${Number(speechRateSlider.value).toFixed(
+      2
+    )}x`;
+  }
+
+  /**
+   * Synthesizes a sample line with the saved voice settings and plays it
+   */
+  async function previewVoice() {
+    previewVoiceBtn.disabled = true;
+    previewVoiceBtn.textContent = "…";
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "textToSpeech",
+        text: VOICE_PREVIEW_TEXT,
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await playPCMAudio(response.audioData);
+    } catch (error) {
+      console.error("Voice preview failed:", error);
+      statusText.textContent = "Voice preview failed: " + error.message;
+    } finally {
+      previewVoiceBtn.disabled = false;
+      previewVoiceBtn.textContent = "▶";
+    }
+  }
+
+  /**
+   * Plays base64 encoded 24kHz 16-bit mono PCM audio
+   * @param {string} audioData - The base64 audio returned by textToSpeech
+   * @returns {Promise<void>} Resolves when playback ends
+   */
+  async function playPCMAudio(audioData) {
+    const bytes = Uint8Array.from(atob(audioData), (c) => c.charCodeAt(0));
+
+    const context = new AudioContext();
+    const source = context.createBufferSource();
+    source.buffer = createPCMBuffer(context, bytes.buffer);
+    source.connect(context.destination);
+
+    await new Promise((resolve) => {
+      source.onended = resolve;
+      source.start();
+    });
+    await context.close();
+  }
+
+  /**
+   * Builds an audio buffer from 24kHz 16-bit mono PCM samples
+   * @param {AudioContext} context - The context the buffer is for
+   * @param {ArrayBuffer} pcm - Little-endian 16-bit samples
+   * @returns {AudioBuffer} The audio buffer
+   */
+  function createPCMBuffer(context, pcm) {
+    const samples = new Int16Array(pcm, 0, pcm.byteLength >> 1);
+    const buffer = context.createBuffer(1, samples.length, 24000);
+    const channel = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      channel[i] = samples[i] / 32768;
+    }
+    return buffer;
+  }
+
+  /**
+   * Lists the extension's keyboard commands with their current shortcuts
+   */
+  async function loadShortcuts() {
+    const commands = await chrome.commands.getAll();
+    shortcutList.innerHTML = "";
+
+    commands
+      .filter((command) => command.description)
+      .forEach((command) => {
+        const item = document.createElement("li");
+
+        const description = document.createElement("span");
+        description.textContent = command.description;
+
+        const shortcut = document.createElement("kbd");
+        shortcut.textContent = command.shortcut || "Not set";
+
+        item.append(description, shortcut);
+        shortcutList.appendChild(item);
+      });
+  }
+
+  /**
+   * Loads the audio recording settings and shows the storage used
+   */
+  async function loadAudioSettings() {
+    const { enabled, limitMb } = await getAudioSettings();
+    recordAudioToggle.checked = enabled;
+    audioLimitInput.value = limitMb;
+    await updateAudioUsage();
+  }
+
+  /**
+   * Shows how much storage the recordings use
+   */
+  async function updateAudioUsage() {
+    const { total } = await getAudioUsage();
+    audioUsage.textContent = `${(total / (1024 * 1024)).toFixed(1)} MB used`;
+  }
+
+  /**
+   * Plays a session's recordings in order, highlighting the turn being heard
+   * @param {string} sessionId - The session to replay
+   */
+  async function replaySession(sessionId) {
+    const clips = await getSessionClips(sessionId);
+    if (clips.length === 0) {
+      throw new Error("This session has no recordings");
+    }
+
+    const current = {
+      context: new AudioContext(),
+      source: null,
+      turnIndex: null,
+    };
+    replay = current;
+    replaySessionBtn.textContent = "⏹";
+    replaySessionBtn.title = "Stop replay";
+
+    try {
+      for (const clip of clips) {
+        if (replay !== current) break;
+        current.turnIndex = clip.turnIndex;
+        highlightReplayTurn(clip.turnIndex);
+
+        const data = await clip.audio.arrayBuffer();
+        const source = current.context.createBufferSource();
+        source.buffer =
+          clip.audio.type === "audio/pcm"
+            ? createPCMBuffer(current.context, data)
+            : await current.context.decodeAudioData(data);
+        source.connect(current.context.destination);
+        if (replay !== current) break;
+
+        current.source = source;
+        await new Promise((resolve) => {
+          source.onended = resolve;
+          source.start();
+        });
+      }
+    } finally {
+      if (replay === current) stopReplay();
+    }
+  }
+
+  /**
+   * Stops the replay in progress and clears the highlighted turn
+   */
+  function stopReplay() {
+    if (!replay) return;
+
+    const { context, source } = replay;
+    replay = null;
+    // Stopping ends the clip the replay loop is waiting on
+    if (source) source.stop();
+    context.close();
+
+    highlightReplayTurn(null);
+    replaySessionBtn.textContent = "🎧";
+    replaySessionBtn.title = "Replay interview";
+  }
+
+  /**
+   * Shows the session's code snapshots with a slider to scrub through them
+   * @param {Object|null} session - The opened session
+   */
+  function renderCodeTimeline(session) {
+    codeSnapshots = session ? rebuildCodeSnapshots(session.codeSnapshots) : [];
+    codeTimelineStart = session ? session.startedAt : null;
+    codeTimeline.hidden = codeSnapshots.length === 0;
+    if (codeSnapshots.length === 0) return;
+
+    codeTimelineSlider.max = codeSnapshots.length - 1;
+    codeTimelineSlider.value = codeSnapshots.length - 1;
+    showCodeSnapshot(codeSnapshots.length - 1, false);
+  }
+
+  /**
+   * Shows one code snapshot and the transcript turn it belongs to
+   * @param {number} index - The snapshot's index
+   * @param {boolean} [highlightTurn=true] - Whether to highlight the turn
+   */
+  function showCodeSnapshot(index, highlightTurn = true) {
+    const snapshot = codeSnapshots[index];
+    if (!snapshot) return;
+
+    const minutes =
+      (Date.parse(snapshot.timestamp) - Date.parse(codeTimelineStart)) / 60000;
+    codeTimelineInfo.textContent = `${index + 1}/${
+      codeSnapshots.length
+    } · ${minutes.toFixed(1)} min · ${
+      SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason
+    } · +${snapshot.added}/-${snapshot.removed}`;
+    codeTimelineCode.textContent = snapshot.code;
+
+    if (!highlightTurn) return;
+
+    // The last turn before the snapshot is what was said around that code
+    let turnIndex = null;
+    chatHistory.querySelectorAll("[data-turn-index]").forEach((item) => {
+      if (
+        item.dataset.timestamp &&
+        item.dataset.timestamp <= snapshot.timestamp
+      ) {
+        turnIndex = item.dataset.turnIndex;
+      }
+    });
+    highlightReplayTurn(turnIndex);
+  }
+
+  /**
+   * Highlights the transcript line of the turn being replayed or scrubbed to
+   * @param {number|null} turnIndex - The turn's index in the history, or null to clear
+   */
+  function highlightReplayTurn(turnIndex) {
+    chatHistory.querySelectorAll(".chat-message.replaying").forEach((item) => {
+      item.classList.remove("replaying");
+    });
+    if (turnIndex === null) return;
+
+    const turn = chatHistory.querySelector(`[data-turn-index="${turnIndex}"]`);
+    if (turn) {
+      turn.classList.add("replaying");
+      turn.scrollIntoView({ block: "nearest" });
+    }
+  }
+
+  /**
+   * Renders an input for the time budget of each interview phase
+   */
+  async function loadInterviewPlan() {
+    const plan = await getInterviewPlan();
+    phaseBudgets.innerHTML = "";
+
+    plan.forEach((phase) => {
+      const label = document.createElement("label");
+      label.className = "phase-budget";
+      label.textContent = phase.name;
+
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "1";
+      input.max = "60";
+      input.value = phase.minutes;
+      input.title = phase.goal;
+      input.addEventListener("change", async () => {
+        const minutes = Number(input.value);
+        if (minutes >= 1) {
+          await setPhaseBudget(phase.id, minutes);
+        }
+      });
+
+      label.appendChild(input);
+      phaseBudgets.appendChild(label);
+    });
+  }
+
+  /**
+   * Shows the current hands-free slider values, and the sliders only when enabled
+   */
+  function updateVadSettingsDisplay() {
+    vadSettings.hidden = !handsFreeToggle.checked;
+    vadSilenceValue.textContent = `${(vadSilenceSlider.value / 1000).toFixed(
+      2
+    )}s`;
+    vadSensitivityValue.textContent = vadSensitivitySlider.value;
+  }
+
+  /**
+   * Runs the connection check again once settings stop changing
+   * The last result stays shown and stored until the new one replaces it
+   */
+  function scheduleConnectionCheck() {
+    clearTimeout(connectionCheckTimer);
+    connectionCheckTimer = setTimeout(
+      runConnectionCheck,
+      CONNECTION_CHECK_DELAY
+    );
+  }
+
+  /**
+   * Checks chat, text-to-speech and speech-to-text through the background
+   * @returns {Promise<Object|null>} The check result, or null if it could not run
+   */
+  async function runConnectionCheck() {
+    clearTimeout(connectionCheckTimer);
+
+    const missingKey = await getMissingKeyProblem();
+    if (missingKey) {
+      await renderConnectionStatus();
+      return null;
+    }
+
+    testGeminiBtn.disabled = true;
+    geminiStatus.textContent = "Checking...";
+    geminiStatus.className = "gemini-status";
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "checkConnection",
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await renderConnectionStatus();
+      return response.status;
+    } catch (error) {
+      console.error("Connection check failed:", error);
+      geminiStatus.textContent = "Check failed";
+      geminiStatus.className = "gemini-status error";
+      return null;
+    } finally {
+      testGeminiBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the stored connection check in the status badge and result list
+   */
+  async function renderConnectionStatus() {
+    const status = await getFromStorage("connectionStatus");
+    const missingKey = await getMissingKeyProblem();
+    connectionResults.innerHTML = "";
+
+    if (missingKey) {
+      geminiStatus.textContent = "Not configured";
+      geminiStatus.className = "gemini-status";
+      return;
+    }
+
+    if (!status) {
+      geminiStatus.textContent = "Not checked";
+      geminiStatus.className = "gemini-status";
+      return;
+    }
+
+    const failures = AI_CAPABILITIES.filter(
+      (capability) => !status[capability].ok
+    );
+
+    AI_CAPABILITIES.forEach((capability) => {
+      const label = CAPABILITY_LABELS[capability];
+      const result = status[capability];
+      const name = result.model ? `${label} · ${result.model}` : label;
+      const item = document.createElement("li");
+      item.textContent = result.ok
+        ? `✅ ${name}`
+        : `❌ ${name} — ${result.error}`;
+      if (!result.ok) item.className = "failed";
+      connectionResults.appendChild(item);
+    });
+
+    if (failures.length === 0) {
+      geminiStatus.textContent = "Connected";
+      geminiStatus.className = "gemini-status configured";
+    } else {
+      geminiStatus.textContent =
+        failures.length === AI_CAPABILITIES.length
+          ? "Not working"
+          : "Partially working";
+      geminiStatus.className = "gemini-status error";
+    }
+  }
+
+  /**
+   * Reports a missing Gemini API key when any capability uses Gemini
+   * @returns {Promise<string|null>} The problem, or null if keys are in place
+   */
+  async function getMissingKeyProblem() {
+    const settings = await getProviderSettings();
+    const usesGemini = AI_CAPABILITIES.some(
+      (capability) => settings[capability] === "gemini"
+    );
+    if (usesGemini && !geminiApiKeyInput.value.trim()) {
+      return "Enter your Google AI API key before starting an interview.";
+    }
+    return null;
+  }
+
+  /**
+   * Finds a reason the interview cannot run, checking the connection if needed
+   * @returns {Promise<string|null>} A user-facing reason, or null if all is well
+   */
+  async function getConfigurationProblem() {
+    const missingKey = await getMissingKeyProblem();
+    if (missingKey) return missingKey;
+
+    const status =
+      (await getFromStorage("connectionStatus")) ||
+      (await runConnectionCheck());
+    if (!status) {
+      return "Could not verify the AI settings. Use Test Settings and try again.";
+    }
+
+    const failed = AI_CAPABILITIES.find((capability) => !status[capability].ok);
+    if (failed) {
+      return `${CAPABILITY_LABELS[failed]} is not working: ${status[failed].error}`;
+    }
+    return null;
+  }
+
+  /**
+   * Fills the provider selects and endpoint fields from storage
+   */
+  async function loadProviderSettings() {
+    const settings = await getProviderSettings();
+
+    providerSelects.forEach((select) => {
+      select.innerHTML = "";
+      AI_PROVIDERS.forEach((provider) => {
+        const option = document.createElement("option");
+        option.value = provider.id;
+        option.textContent = provider.name;
+        select.appendChild(option);
+      });
+      select.value = settings[select.dataset.capability];
+    });
+
+    openaiFields.forEach((input) => {
+      input.value = settings.openai[input.dataset.openaiField] || "";
+    });
+
+    updateOpenAISettingsVisibility();
+  }
+
+  /**
+   * Shows the OpenAI-compatible fields only when a capability uses that provider
+   */
+  function updateOpenAISettingsVisibility() {
+    openaiSettings.hidden = !Array.from(providerSelects).some(
+      (select) => select.value === "openai"
+    );
+  }
+
+  /**
+   * Reloads interview status, the session archive and the opened session
+   */
+  async function refreshSessions() {
+    const sessions = await listSessions();
+    const activeSessionId = await getActiveSessionId();
+
+    if (Boolean(activeSessionId) !== interviewActive) {
+      interviewActive = Boolean(activeSessionId);
+      updateInterviewStatus(interviewActive);
+    }
+
+    // Fall back to the active or most recent session when nothing is opened
+    if (!sessions.some((session) => session.id === openedSessionId)) {
+      openedSessionId =
+        activeSessionId || (sessions[0] ? sessions[0].id : null);
+      sessionOpenedByUser = false;
+    }
+
+    renderSessionsList(sessions, activeSessionId);
+    await loadConversationHistory();
+    if (replay) highlightReplayTurn(replay.turnIndex);
+
+    // Recordings come and go with sessions and the storage limit
+    const sessionsWithAudio = await getSessionsWithAudio();
+    replaySessionBtn.hidden = !sessionsWithAudio.has(openedSessionId);
+    await updateAudioUsage();
+  }
+
+  /**
+   * Renders the archive of interview sessions with their actions
+   * @param {Array} sessions - Sessions sorted most recent first
+   * @param {string|null} activeSessionId - The id of the running session
+   */
+  function renderSessionsList(sessions, activeSessionId) {
+    sessionsList.innerHTML = "";
+    sessionCount.textContent = sessions.length;
+
+    if (sessions.length === 0) {
+      sessionsList.innerHTML = `
+        <div class="empty-state">No interview sessions yet.</div>
+      `;
+      return;
+    }
+
+    sessions.forEach((session) => {
+      const item = document.createElement("div");
+      item.className = "problem-item";
+      if (session.id === openedSessionId) item.classList.add("opened");
+
+      const info = document.createElement("div");
+      info.className = "problem-info";
+
+      const title = document.createElement("p");
+      title.className = "problem-title";
+      title.textContent = session.title;
+
+      const details = document.createElement("span");
+      details.className = "problem-url";
+      const hintCount = session.hints ? session.hints.length : 0;
+      details.textContent = `${session.problemSlug} · ${new Date(
+        session.startedAt
+      ).toLocaleString()}${
+        hintCount > 0 ? ` · ${hintCount} hint${hintCount === 1 ? "" : "s"}` : ""
+      }${session.id === activeSessionId ? " · active" : ""}`;
+
+      info.append(title, details);
+
+      const actions = document.createElement("div");
+      actions.className = "problem-actions";
+      actions.append(
+        createSessionAction("📂", "Open", "open", () => openSession(session))
+      );
+      // Only sessions tied to a problem page can be continued by the interviewer
+      if (session.problemUrl) {
+        actions.append(
+          createSessionAction("▶️", "Resume", "open", () =>
+            resumeSession(session)
+          )
+        );
+      }
+      actions.append(
+        createSessionAction("✏️", "Rename", "", () =>
+          promptRenameSession(session)
+        ),
+        createSessionAction("🗑️", "Delete", "remove", () =>
+          confirmDeleteSession(session)
+        )
+      );
+
+      item.append(info, actions);
+      sessionsList.appendChild(item);
+    });
+  }
+
+  /**
+   * Creates an icon button for a session list item
+   * @param {string} icon - The button label
+   * @param {string} title - The tooltip text
+   * @param {string} variant - Extra btn-icon class ("open", "remove" or "")
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} The button
+   */
+  function createSessionAction(icon, title, variant, onClick) {
+    const button = document.createElement("button");
+    button.className = `btn-icon ${variant}`.trim();
+    button.title = title;
+    button.textContent = icon;
+    button.addEventListener("click", async () => {
+      try {
+        await onClick();
+      } catch (error) {
+        console.error(`Failed to ${title.toLowerCase()} session:`, error);
+        statusText.textContent = `Failed to ${title.toLowerCase()}: ${
+          error.message
+        }`;
+      }
+    });
+    return button;
+  }
+
+  /**
+   * Shows a session's conversation and scorecard
+   * @param {Object} session - The session to open
+   */
+  async function openSession(session) {
+    if (session.id !== openedSessionId) stopReplay();
+    openedSessionId = session.id;
+    sessionOpenedByUser = true;
+    await refreshSessions();
+  }
+
+  /**
+   * Makes an archived session active again and continues it on its problem page
+   * @param {Object} session - The session to resume
+   */
+  async function resumeSession(session) {
+    await setActiveSession(session.id);
+    openedSessionId = session.id;
+    sessionOpenedByUser = true;
+
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+
+    if (
+      tab &&
+      tab.url &&
+      session.problemUrl &&
+      tab.url.startsWith(session.problemUrl)
+    ) {
+      await chrome.tabs.sendMessage(tab.id, { action: "interviewResume" });
+    } else {
+      // The content script resumes the active session once the page loads
+      await chrome.tabs.create({ url: session.problemUrl });
+    }
+
+    statusText.textContent = `Resumed "${session.title}"`;
+  }
+
+  /**
+   * Asks for a new session title and saves it
+   * @param {Object} session - The session to rename
+   */
+  async function promptRenameSession(session) {
+    const title = prompt("Rename interview session", session.title);
+    if (title === null) return;
+    await renameSession(session.id, title);
+  }
+
+  /**
+   * Deletes a session after confirmation
+   * @param {Object} session - The session to delete
+   */
+  async function confirmDeleteSession(session) {
+    if (!confirm(`Delete the session "${session.title}"?`)) return;
+    if (session.id === openedSessionId) stopReplay();
+    await deleteSessionAudio(session.id);
+    await deleteSession(session.id);
+  }
+
+  /**
+   * Loads and displays the opened session's conversation history
    */
   async function loadConversationHistory() {
     try {
-      const history = (await getFromStorage("conversationHistory")) || [];
+      const session = openedSessionId
+        ? await getSession(openedSessionId)
+        : null;
+      const history = session ? getConversationTurns(session) : [];
+      const start = session ? getConversationStart(session) : 0;
+
+      chatTitle.textContent = session ? session.title : "Conversation History";
+      renderScorecard(session ? session.scorecard : null);
+      renderCodeTimeline(session);
+
       chatHistory.innerHTML = "";
       if (history.length === 0) {
         chatHistory.innerHTML = `
@@ -137,8 +1102,18 @@ document.addEventListener("DOMContentLoaded", async () => {
         return;
       }
 
-      history.forEach((message) => {
-        addMessageToChat(message.role, message.text, false);
+      // Turn indexes count from the start of the stored history, like the audio clips
+      history.forEach((message, index) => {
+        addMessageToChat(
+          message.role,
+          getTurnWords(message),
+          false,
+          message.timestamp
+        );
+        chatHistory.lastElementChild.dataset.turnIndex = start + index;
+        if (message.timestamp) {
+          chatHistory.lastElementChild.dataset.timestamp = message.timestamp;
+        }
       });
 
       // Scroll to bottom
@@ -163,7 +1138,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     if (!message) return;
 
     const apiKey = geminiApiKeyInput.value.trim();
-    if (!apiKey) {
+    const { chat: chatProvider } = await getProviderSettings();
+    if (chatProvider === "gemini" && !apiKey) {
       addMessageToChat(
         "system",
         "Please enter your Google AI API key first.",
@@ -173,6 +1149,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
 
     // Clear input and disable send button
+    chatPending = true;
     chatInput.value = "";
     sendChatBtn.disabled = true;
     chatInput.disabled = true;
@@ -184,18 +1161,34 @@ document.addEventListener("DOMContentLoaded", async () => {
     const thinkingId = addThinkingIndicator();
 
     try {
+      // Chat outside an interview gets its own session
+      if (!sessionOpenedByUser) {
+        const sessions = await listSessions();
+        const session =
+          sessions.find((item) => item.problemSlug === POPUP_CHAT_SLUG) ||
+          (await createSession(
+            { slug: POPUP_CHAT_SLUG, title: "Popup chat", url: "" },
+            { activate: false }
+          ));
+        if (session.id !== openedSessionId) stopReplay();
+        openedSessionId = session.id;
+        sessionOpenedByUser = true;
+      }
+
       // Send message to background script for AI processing
       const response = await chrome.runtime.sendMessage({
         action: "sendChatMessage",
         message: message,
+        sessionId: openedSessionId,
       });
 
       // Remove thinking indicator
       removeThinkingIndicator(thinkingId);
 
       if (response.success) {
-        // Add AI response to chat
-        addMessageToChat("model", response.text, true);
+        // Re-render from storage, which now holds both new messages
+        chatPending = false;
+        await refreshSessions();
       } else {
         throw new Error(response.error || "Failed to get AI response");
       }
@@ -205,6 +1198,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       addMessageToChat("system", `Error: ${error.message}`, true);
     } finally {
       // Re-enable input
+      chatPending = false;
       sendChatBtn.disabled = false;
       chatInput.disabled = false;
       chatInput.focus();
@@ -216,32 +1210,93 @@ document.addEventListener("DOMContentLoaded", async () => {
    * @param {string} role - The role of the message sender (user, model, system)
    * @param {string} text - The message text
    * @param {boolean} updateStorage - Whether to update the conversation history in storage
+   * @param {string} [timestamp] - When a stored message was sent, defaults to now
    */
-  async function addMessageToChat(role, text, updateStorage = false) {
+  async function addMessageToChat(
+    role,
+    text,
+    updateStorage = false,
+    timestamp
+  ) {
     const messageDiv = document.createElement("div");
     messageDiv.className = `chat-message ${role}`;
 
     const messageContent = document.createElement("div");
     messageContent.className = "message-content";
 
-    const messageText = document.createElement("p");
-    messageText.textContent = text;
+    // Interviewer replies are Markdown, rendered without parsing any HTML
+    const messageText = document.createElement(role === "model" ? "div" : "p");
+    if (role === "model") {
+      messageText.className = "markdown";
+      messageText.appendChild(renderMarkdown(text));
+    } else {
+      messageText.textContent = text;
+    }
 
     messageContent.appendChild(messageText);
     messageDiv.appendChild(messageContent);
 
     // Add timestamp for non-system messages
     if (role !== "system") {
-      const timestamp = document.createElement("div");
-      timestamp.className = "message-timestamp";
-      timestamp.textContent = new Date().toLocaleTimeString();
-      messageDiv.appendChild(timestamp);
+      const timestampDiv = document.createElement("div");
+      timestampDiv.className = "message-timestamp";
+      timestampDiv.textContent = (
+        timestamp ? new Date(timestamp) : new Date()
+      ).toLocaleTimeString();
+      messageDiv.appendChild(timestampDiv);
     }
 
     chatHistory.appendChild(messageDiv);
     chatHistory.scrollTop = chatHistory.scrollHeight;
   }
 
+  /**
+   * Renders the interview scorecard produced when an interview ends
+   * @param {Object|null} scorecard - The stored scorecard, or null to hide the section
+   */
+  function renderScorecard(scorecard) {
+    scorecardCategories.innerHTML = "";
+    if (!scorecard) {
+      scorecardSection.hidden = true;
+      return;
+    }
+
+    scorecardOverall.textContent = `${scorecard.verdict} · ${scorecard.overallScore}/5`;
+    scorecardSummary.textContent = scorecard.summary;
+
+    scorecard.categories.forEach((category) => {
+      const details = document.createElement("details");
+      details.className = "scorecard-category";
+
+      const summary = document.createElement("summary");
+      const name = document.createElement("span");
+      name.textContent = category.name;
+      const score = document.createElement("span");
+      score.className = `scorecard-score score-${category.score}`;
+      score.textContent = `${category.score}/5`;
+      summary.append(name, score);
+
+      const justification = document.createElement("p");
+      justification.textContent = category.justification;
+
+      details.append(summary, justification);
+
+      if (category.improvements.length > 0) {
+        const tips = document.createElement("ul");
+        category.improvements.forEach((tip) => {
+          const item = document.createElement("li");
+          item.textContent = tip;
+          tips.appendChild(item);
+        });
+        details.appendChild(tips);
+      }
+
+      scorecardCategories.appendChild(details);
+    });
+
+    scorecardSection.hidden = false;
+  }
+
   /**
    * Adds a thinking indicator to the chat
    * @returns {string} The ID of the thinking indicator element
@@ -278,17 +1333,46 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
 
   /**
-   * Clears the conversation history
+   * Clears the opened session's conversation history
    */
   async function clearConversationHistory() {
     try {
-      await setInStorage("conversationHistory", []);
-      await loadConversationHistory();
+      stopReplay();
+      await deleteSessionAudio(openedSessionId);
+      await updateSession(openedSessionId, {
+        history: [],
+        contextSummary: null,
+      });
+      await refreshSessions();
     } catch (error) {
       console.error("Failed to clear conversation history:", error);
     }
   }
 
+  /**
+   * Saves a session's transcript as a local download
+   * @param {string} sessionId - The session to export
+   * @param {string} format - A key of EXPORT_FORMATS
+   */
+  async function downloadSessionExport(sessionId, format) {
+    const session = await getSession(sessionId);
+    if (!session) {
+      throw new Error("Interview session not found");
+    }
+
+    const { fileName, mimeType, content } = exportSession(session, format);
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    // Give the download time to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    statusText.textContent = `Exported "${session.title}"`;
+  }
+
   /**
    * Updates the UI based on interview status
    */
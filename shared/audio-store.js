@@ -0,0 +1,215 @@
+/**
+ * Audio Store
+ * Keeps the candidate's and the interviewer's audio for each turn of a
+ * session in IndexedDB, within a user-set storage limit
+ */
+
+import { getFromStorage } from "./chorme-storage.js";
+
+const DB_NAME = "interviewAudio";
+const DB_VERSION = 1;
+const CLIPS_STORE = "clips";
+
+// Settings keys in chrome.storage
+const RECORD_AUDIO_KEY = "recordAudio";
+const AUDIO_LIMIT_KEY = "audioStorageLimitMb";
+
+const DEFAULT_AUDIO_LIMIT_MB = 200;
+
+let dbPromise = null;
+
+/**
+ * Opens the audio database, creating the clip store on first use
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openAudioDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(CLIPS_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("sessionId", "sessionId");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(new Error("Failed to open audio storage: " + request.error));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs a request against the clip store and resolves with its result
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Receives the store and may return an IDBRequest
+ * @returns {Promise<any>} The returned request's result once the transaction commits
+ */
+async function runClipRequest(mode, operation) {
+  const db = await openAudioDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CLIPS_STORE, mode);
+    const request = operation(transaction.objectStore(CLIPS_STORE));
+    transaction.oncomplete = () =>
+      resolve(request ? request.result : undefined);
+    transaction.onerror = () =>
+      reject(new Error("Audio storage failed: " + transaction.error));
+  });
+}
+
+/**
+ * Gets the audio recording settings
+ * @returns {Promise<{enabled: boolean, limitMb: number}>} The settings
+ */
+async function getAudioSettings() {
+  return {
+    enabled: Boolean(await getFromStorage(RECORD_AUDIO_KEY)),
+    limitMb: (await getFromStorage(AUDIO_LIMIT_KEY)) || DEFAULT_AUDIO_LIMIT_MB,
+  };
+}
+
+/**
+ * Stores a clip for a turn
+ * @param {Object} clip - The clip
+ * @param {string} clip.sessionId - The session the turn belongs to
+ * @param {number} clip.turnIndex - The index of the turn in the session history
+ * @param {string} clip.role - "user" or "model"
+ * @param {number} clip.part - The order of the clip within the turn
+ * @param {Blob} clip.audio - The audio, typed "audio/pcm" for 24kHz 16-bit speech
+ * @returns {Promise<void>}
+ */
+async function saveClip(clip) {
+  await runClipRequest("readwrite", (store) =>
+    store.add({
+      ...clip,
+      size: clip.audio.size,
+      createdAt: new Date().toISOString(),
+    })
+  );
+}
+
+/**
+ * Gets a session's clips in playback order
+ * @param {string} sessionId - The session id
+ * @returns {Promise<Array<Object>>} The clips sorted by turn, then part
+ */
+async function getSessionClips(sessionId) {
+  const clips = await runClipRequest("readonly", (store) =>
+    store.index("sessionId").getAll(sessionId)
+  );
+  return clips.sort((a, b) => a.turnIndex - b.turnIndex || a.part - b.part);
+}
+
+/**
+ * Lists the sessions that have stored audio
+ * @returns {Promise<Set<string>>} The session ids
+ */
+async function getSessionsWithAudio() {
+  const db = await openAudioDatabase();
+  return new Promise((resolve, reject) => {
+    const sessionIds = new Set();
+    const request = db
+      .transaction(CLIPS_STORE)
+      .objectStore(CLIPS_STORE)
+      .index("sessionId")
+      .openKeyCursor(null, "nextunique");
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve(sessionIds);
+      sessionIds.add(cursor.key);
+      cursor.continue();
+    };
+    request.onerror = () =>
+      reject(new Error("Audio storage failed: " + request.error));
+  });
+}
+
+/**
+ * Deletes all clips of a session
+ * @param {string} sessionId - The session id
+ * @returns {Promise<void>}
+ */
+async function deleteSessionAudio(sessionId) {
+  const keys = await runClipRequest("readonly", (store) =>
+    store.index("sessionId").getAllKeys(sessionId)
+  );
+  await runClipRequest("readwrite", (store) => {
+    keys.forEach((key) => store.delete(key));
+  });
+}
+
+/**
+ * Deletes every stored clip
+ * @returns {Promise<void>}
+ */
+async function clearAllAudio() {
+  await runClipRequest("readwrite", (store) => store.clear());
+}
+
+/**
+ * Sums the stored audio size per session
+ * @returns {Promise<{total: number, sessions: Map<string, {size: number, createdAt: string}>}>}
+ *   Total bytes, and each session's bytes and oldest clip time
+ */
+async function getAudioUsage() {
+  // Audio blobs are stored out of line, so this does not read the audio itself
+  const clips = await runClipRequest("readonly", (store) => store.getAll());
+  const sessions = new Map();
+  let total = 0;
+
+  clips.forEach((clip) => {
+    total += clip.size;
+    const usage = sessions.get(clip.sessionId) || {
+      size: 0,
+      createdAt: clip.createdAt,
+    };
+    usage.size += clip.size;
+    if (clip.createdAt < usage.createdAt) usage.createdAt = clip.createdAt;
+    sessions.set(clip.sessionId, usage);
+  });
+
+  return { total, sessions };
+}
+
+/**
+ * Deletes the audio of the oldest sessions until the store fits the limit
+ * @param {string} [keepSessionId] - A session whose audio is never deleted
+ * @returns {Promise<Array<string>>} The sessions whose audio was deleted
+ */
+async function enforceAudioLimit(keepSessionId) {
+  const { limitMb } = await getAudioSettings();
+  const limit = limitMb * 1024 * 1024;
+  const { total, sessions } = await getAudioUsage();
+
+  const oldestFirst = [...sessions.entries()]
+    .filter(([sessionId]) => sessionId !== keepSessionId)
+    .sort(([, a], [, b]) => a.createdAt.localeCompare(b.createdAt));
+
+  const deleted = [];
+  let remaining = total;
+  for (const [sessionId, usage] of oldestFirst) {
+    if (remaining <= limit) break;
+    await deleteSessionAudio(sessionId);
+    remaining -= usage.size;
+    deleted.push(sessionId);
+  }
+  return deleted;
+}
+
+export {
+  RECORD_AUDIO_KEY,
+  AUDIO_LIMIT_KEY,
+  DEFAULT_AUDIO_LIMIT_MB,
+  getAudioSettings,
+  saveClip,
+  getSessionClips,
+  getSessionsWithAudio,
+  deleteSessionAudio,
+  clearAllAudio,
+  getAudioUsage,
+  enforceAudioLimit,
+};
@@ -0,0 +1,158 @@
+/**
+ * Code History
+ * Keeps snapshots of the candidate's editor on the session timeline as
+ * compact line diffs, and rebuilds the code at any point from them
+ *
+ * Snapshots live in the session's "codeSnapshots" list. Each one replaces
+ * a run of lines of the previous code:
+ * {timestamp, reason, language, diff: {start, deleteCount, insert}}
+ * The first snapshot inserts the whole editor into empty code.
+ */
+
+import { updateSession } from "./session-store.js";
+
+// Why a snapshot was taken
+const SNAPSHOT_REASONS = {
+  interval: "Periodic",
+  answer: "Answer",
+  "test-run": "Run / Submit",
+  phase: "Phase change",
+  end: "Interview end",
+};
+
+/**
+ * Computes the single run of lines that turns one text into another
+ * Edits between snapshots are usually local, so trimming the common start
+ * and end keeps the diff small without a full diff algorithm
+ * @param {Array<string>} previous - The earlier lines
+ * @param {Array<string>} next - The later lines
+ * @returns {{start: number, deleteCount: number, insert: Array<string>}} The diff
+ */
+function createLineDiff(previous, next) {
+  let start = 0;
+  while (
+    start < previous.length &&
+    start < next.length &&
+    previous[start] === next[start]
+  ) {
+    start++;
+  }
+
+  let end = 0;
+  while (
+    end < previous.length - start &&
+    end < next.length - start &&
+    previous[previous.length - 1 - end] === next[next.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  return {
+    start,
+    deleteCount: previous.length - start - end,
+    insert: next.slice(start, next.length - end),
+  };
+}
+
+/**
+ * Applies a line diff
+ * @param {Array<string>} lines - The earlier lines
+ * @param {{start: number, deleteCount: number, insert: Array<string>}} diff - The diff
+ * @returns {Array<string>} The later lines
+ */
+function applyLineDiff(lines, diff) {
+  const result = lines.slice();
+  result.splice(diff.start, diff.deleteCount, ...diff.insert);
+  return result;
+}
+
+/**
+ * Rebuilds the full code of every snapshot
+ * @param {Array<Object>} snapshots - The session's code snapshots
+ * @returns {Array<Object>} Each snapshot with its code and the number of
+ *   lines added and removed since the previous one
+ */
+function rebuildCodeSnapshots(snapshots = []) {
+  let lines = [];
+  return snapshots.map((snapshot) => {
+    lines = applyLineDiff(lines, snapshot.diff);
+    return {
+      timestamp: snapshot.timestamp,
+      reason: snapshot.reason,
+      language: snapshot.language,
+      code: lines.join("\n"),
+      added: snapshot.diff.insert.length,
+      removed: snapshot.diff.deleteCount,
+    };
+  });
+}
+
+/**
+ * Stores a snapshot of the editor unless the code is unchanged
+ * @param {string} sessionId - The session id
+ * @param {Object} snapshot - The editor state
+ * @param {string} snapshot.code - The editor contents
+ * @param {string} [snapshot.language] - The editor language
+ * @param {string} snapshot.reason - A key of SNAPSHOT_REASONS
+ * @returns {Promise<Object|null>} The updated session, or null when unchanged
+ * @throws {Error} When the session does not exist
+ */
+async function addCodeSnapshot(sessionId, { code, language, reason }) {
+  return updateSession(sessionId, (session) => {
+    const snapshots = session.codeSnapshots || [];
+    const rebuilt = rebuildCodeSnapshots(snapshots);
+    const previous = rebuilt.length > 0 ? rebuilt[rebuilt.length - 1] : null;
+    if (previous && previous.code === code) {
+      return null;
+    }
+
+    return {
+      codeSnapshots: [
+        ...snapshots,
+        {
+          timestamp: new Date().toISOString(),
+          reason,
+          language: language || "",
+          diff: createLineDiff(
+            previous ? previous.code.split("\n") : [],
+            code.split("\n")
+          ),
+        },
+      ],
+    };
+  });
+}
+
+/**
+ * Summarizes how the code changed over the interview
+ * @param {Object} session - The session
+ * @returns {string} One line per snapshot, or a note when none were taken
+ */
+function describeCodeEvolution(session) {
+  const snapshots = rebuildCodeSnapshots(session.codeSnapshots);
+  if (snapshots.length === 0) {
+    return "No code was written in the editor.";
+  }
+
+  return snapshots
+    .map((snapshot) => {
+      const minutes =
+        (Date.parse(snapshot.timestamp) - Date.parse(session.startedAt)) /
+        60000;
+      return `- ${minutes.toFixed(1)} min (${
+        SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason
+      }): +${snapshot.added}/-${snapshot.removed} lines, ${
+        snapshot.code.split("\n").length
+      } lines total`;
+    })
+    .join("\n");
+}
+
+export {
+  SNAPSHOT_REASONS,
+  createLineDiff,
+  applyLineDiff,
+  rebuildCodeSnapshots,
+  addCodeSnapshot,
+  describeCodeEvolution,
+};
@@ -0,0 +1,45 @@
+/**
+ * Conversation Turns
+ * Picks the conversation itself out of a session's stored history
+ *
+ * Loaded as a classic script by both the content scripts and the popup, so
+ * it defines globals instead of exporting. An interview's history starts
+ * with the interviewer setup prompt, and the candidate's turns carry the
+ * context blocks sent along to the AI. Neither is shown to the candidate.
+ */
+
+// Problem slug of the session that holds chat started outside an interview
+const POPUP_CHAT_SLUG = "popup-chat";
+
+// Context blocks appended to the candidate's words before they reach the AI
+const CONTEXT_BLOCK_PATTERN =
+  /\n\n\[(?:Hint request|Candidate code|Test results|Interview status)\]/;
+
+/**
+ * Gets the index of a session's first conversation turn
+ * @param {Object} session - The session
+ * @returns {number} 1 after an interview's setup prompt, 0 for popup chat
+ */
+function getConversationStart(session) {
+  return session.problemSlug === POPUP_CHAT_SLUG ? 0 : 1;
+}
+
+/**
+ * Lists the turns of a session's conversation
+ * @param {Object} session - The session
+ * @returns {Array<Object>} The history entries without the setup prompt
+ */
+function getConversationTurns(session) {
+  return session.history.slice(getConversationStart(session));
+}
+
+/**
+ * Gets the words of a turn without the context blocks sent along with them
+ * @param {Object} entry - A session history entry
+ * @returns {string} The turn text
+ */
+function getTurnWords(entry) {
+  return entry.role === "user"
+    ? entry.text.split(CONTEXT_BLOCK_PATTERN)[0]
+    : entry.text;
+}
@@ -0,0 +1,121 @@
+/**
+ * Hint Ladder
+ * Graded hints the candidate can ask for, from a gentle nudge up to
+ * pseudocode, and the record of which were used in a session
+ *
+ * Every request climbs one level. Once the top the interviewer's hint
+ * policy allows is reached further requests stay there. Hints are kept on
+ * the session as "hints", one entry per request.
+ */
+
+import { updateSession } from "./session-store.js";
+
+const HINT_LEVELS = [
+  {
+    id: "nudge",
+    name: "Nudge",
+    instruction:
+      "Give a gentle nudge: one guiding question or observation that points in the right direction, without naming a data structure or algorithm.",
+  },
+  {
+    id: "data-structure",
+    name: "Data structure",
+    instruction:
+      "Name the data structure or technique that fits the problem and ask the candidate how it could help, without explaining the full approach.",
+  },
+  {
+    id: "key-insight",
+    name: "Key insight",
+    instruction:
+      "Explain the key insight that makes the efficient solution work, without walking through the algorithm step by step.",
+  },
+  {
+    id: "pseudocode",
+    name: "Pseudocode",
+    instruction:
+      "Walk through the approach as short pseudocode, without writing code in the candidate's language.",
+  },
+];
+
+// Highest level each persona hint policy allows, see content/interviewer-persona.js
+const HINT_POLICY_MAX_LEVELS = {
+  generous: HINT_LEVELS.length,
+  balanced: 3,
+  strict: 1,
+};
+
+/**
+ * Gets the level the session's next hint request climbs to
+ * @param {Object} session - The session
+ * @param {string} [hintPolicy] - The persona hint policy capping the ladder
+ * @returns {Object} The hint level with its 1-based number and the ladder
+ *   height the policy allows
+ */
+function getNextHint(session, hintPolicy) {
+  const maxLevel = HINT_POLICY_MAX_LEVELS[hintPolicy] || HINT_LEVELS.length;
+  const index = Math.min((session.hints || []).length, maxLevel - 1);
+  return {
+    ...HINT_LEVELS[index],
+    level: index + 1,
+    maxLevel,
+  };
+}
+
+/**
+ * Records a hint request and climbs to the next level of the ladder
+ * @param {string} sessionId - The session id
+ * @param {string} [hintPolicy] - The persona hint policy capping the ladder
+ * @returns {Promise<{session: Object, hint: Object}>} The updated session, and
+ *   the hint level that was recorded
+ * @throws {Error} When the session does not exist
+ */
+async function recordHint(sessionId, hintPolicy) {
+  let hint = null;
+  const session = await updateSession(sessionId, (current) => {
+    hint = getNextHint(current, hintPolicy);
+    const phaseLog = current.phaseLog || [];
+    const currentPhase = phaseLog[phaseLog.length - 1];
+
+    return {
+      hints: [
+        ...(current.hints || []),
+        {
+          levelId: hint.id,
+          level: hint.level,
+          phaseId: currentPhase ? currentPhase.phaseId : null,
+          requestedAt: new Date().toISOString(),
+        },
+      ],
+    };
+  });
+
+  return { session, hint };
+}
+
+/**
+ * Summarizes how much help the candidate asked for
+ * @param {Object} session - The session
+ * @returns {string} The hint count, highest level reached and when each was asked
+ */
+function describeHintUsage(session) {
+  const hints = session.hints || [];
+  if (hints.length === 0) {
+    return "No hints were requested.";
+  }
+
+  const highest = Math.max(...hints.map((hint) => hint.level));
+  const times = hints
+    .map((hint) => {
+      const minutes =
+        (Date.parse(hint.requestedAt) - Date.parse(session.startedAt)) / 60000;
+      return `${HINT_LEVELS[hint.level - 1].name} at ${minutes.toFixed(0)} min`;
+    })
+    .join(", ");
+  return `${hints.length} hint${
+    hints.length === 1 ? "" : "s"
+  } requested, reaching level ${highest}/${HINT_LEVELS.length} (${
+    HINT_LEVELS[highest - 1].name
+  }): ${times}.`;
+}
+
+export { HINT_LEVELS, getNextHint, recordHint, describeHintUsage };
@@ -0,0 +1,172 @@
+/**
+ * Interview Plan
+ * The phases of a timed interview, their time budgets, and the per-session
+ * log of phase transitions and overruns
+ */
+
+import { getFromStorage, setInStorage } from "./chorme-storage.js";
+import { updateSession } from "./session-store.js";
+
+const INTERVIEW_PLAN_KEY = "interviewPlan";
+
+// Marker the interviewer puts at the start of a reply to move to the next phase
+const NEXT_PHASE_TAG = "[[NEXT_PHASE]]";
+
+// Phases in interview order, with default budgets that add up to 45 minutes
+const INTERVIEW_PHASES = [
+  {
+    id: "clarification",
+    name: "Clarification",
+    minutes: 5,
+    goal: "The candidate clarifies inputs, outputs, constraints and edge cases.",
+  },
+  {
+    id: "bruteForce",
+    name: "Brute-force idea",
+    minutes: 5,
+    goal: "The candidate describes a simple correct solution and its cost.",
+  },
+  {
+    id: "optimized",
+    name: "Optimized approach",
+    minutes: 10,
+    goal: "The candidate finds and explains a better approach before coding.",
+  },
+  {
+    id: "coding",
+    name: "Coding",
+    minutes: 15,
+    goal: "The candidate implements the optimized approach in the editor.",
+  },
+  {
+    id: "complexity",
+    name: "Complexity",
+    minutes: 5,
+    goal: "The candidate analyzes the time and space complexity of the code.",
+  },
+  {
+    id: "testing",
+    name: "Testing",
+    minutes: 5,
+    goal: "The candidate walks through test cases and edge cases by hand.",
+  },
+];
+
+/**
+ * Gets the interview phases with the user's time budgets applied
+ * @returns {Promise<Array<{id: string, name: string, minutes: number, goal: string}>>} The plan
+ */
+async function getInterviewPlan() {
+  const budgets = (await getFromStorage(INTERVIEW_PLAN_KEY)) || {};
+  return INTERVIEW_PHASES.map((phase) => ({
+    ...phase,
+    minutes: budgets[phase.id] || phase.minutes,
+  }));
+}
+
+/**
+ * Saves the time budget for one phase
+ * @param {string} phaseId - The phase id
+ * @param {number} minutes - The budget in minutes
+ * @returns {Promise<void>}
+ */
+async function setPhaseBudget(phaseId, minutes) {
+  if (!INTERVIEW_PHASES.some((phase) => phase.id === phaseId)) {
+    throw new Error(`Unknown interview phase: ${phaseId}`);
+  }
+  const budgets = (await getFromStorage(INTERVIEW_PLAN_KEY)) || {};
+  budgets[phaseId] = Math.max(1, Math.round(minutes));
+  await setInStorage(INTERVIEW_PLAN_KEY, budgets);
+}
+
+/**
+ * Attaches the current plan to a session and enters its first phase
+ * @param {string} sessionId - The session id
+ * @returns {Promise<Object>} The updated session
+ */
+async function startInterviewPlan(sessionId) {
+  return updateSession(sessionId, {
+    plan: await getInterviewPlan(),
+    phaseLog: [
+      {
+        phaseId: INTERVIEW_PHASES[0].id,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        overrunAt: null,
+      },
+    ],
+  });
+}
+
+/**
+ * Ends the current phase and enters the next one
+ * @param {string} sessionId - The session id
+ * @returns {Promise<Object>} The updated session, unchanged on the last phase
+ */
+async function advancePhase(sessionId) {
+  let unchanged = null;
+  const session = await updateSession(sessionId, (current) => {
+    if (!current.plan) {
+      throw new Error("Interview session has no plan");
+    }
+
+    const phaseLog = current.phaseLog.slice();
+    const entry = phaseLog[phaseLog.length - 1];
+    const index = current.plan.findIndex((phase) => phase.id === entry.phaseId);
+    if (index === current.plan.length - 1) {
+      unchanged = current;
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    phaseLog[phaseLog.length - 1] = { ...entry, endedAt: now };
+    phaseLog.push({
+      phaseId: current.plan[index + 1].id,
+      startedAt: now,
+      endedAt: null,
+      overrunAt: null,
+    });
+    return { phaseLog };
+  });
+
+  return session || unchanged;
+}
+
+/**
+ * Records that the current phase went over its time budget
+ * @param {string} sessionId - The session id
+ * @returns {Promise<Object>} The updated session
+ */
+async function recordPhaseOverrun(sessionId) {
+  let unchanged = null;
+  const session = await updateSession(sessionId, (current) => {
+    if (!current.phaseLog) {
+      throw new Error("Interview session has no plan");
+    }
+
+    const phaseLog = current.phaseLog.slice();
+    const entry = phaseLog[phaseLog.length - 1];
+    if (entry.overrunAt) {
+      unchanged = current;
+      return null;
+    }
+
+    phaseLog[phaseLog.length - 1] = {
+      ...entry,
+      overrunAt: new Date().toISOString(),
+    };
+    return { phaseLog };
+  });
+
+  return session || unchanged;
+}
+
+export {
+  INTERVIEW_PHASES,
+  NEXT_PHASE_TAG,
+  getInterviewPlan,
+  setPhaseBudget,
+  startInterviewPlan,
+  advancePhase,
+  recordPhaseOverrun,
+};
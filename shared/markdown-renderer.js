@@ -0,0 +1,251 @@
+/**
+ * Markdown Renderer
+ * Renders the Markdown subset the interviewer writes into DOM nodes, or
+ * into plain text for text-to-speech
+ *
+ * Loaded as a classic script by both the content scripts and the popup, so
+ * it defines globals instead of exporting. Every piece of text becomes a text
+ * node: nothing from the reply is ever parsed as HTML.
+ *
+ * Supports:
+ * - Fenced code blocks with a copy button, and inline code
+ * - Bullet and numbered lists
+ * - Headings, bold, italic and http(s) links
+ */
+
+// Said in place of a fenced code block, which makes no sense read aloud
+const MARKDOWN_SPOKEN_CODE_BLOCK = "The code is in the transcript.";
+
+// Inline tokens: code, bold, italic and links, in order of precedence
+const MARKDOWN_INLINE_PATTERN =
+  /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+
+const MARKDOWN_LIST_ITEM_PATTERN = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+
+/**
+ * Renders Markdown text as safe DOM nodes
+ * @param {string} text - The Markdown text
+ * @returns {DocumentFragment} The rendered blocks
+ */
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = String(text).replace(/\r\n/g, "\n").split("\n");
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code block, running to the closing fence or the end of the text
+    const fence = line.match(/^\s*(```|~~~)\s*([\w+#-]*)\s*$/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      fragment.appendChild(createMarkdownCodeBlock(code.join("\n"), fence[2]));
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const element = document.createElement("p");
+      element.className = "md-heading";
+      const strong = document.createElement("strong");
+      appendMarkdownInline(strong, heading[2]);
+      element.appendChild(strong);
+      fragment.appendChild(element);
+      i++;
+      continue;
+    }
+
+    const listItem = line.match(MARKDOWN_LIST_ITEM_PATTERN);
+    if (listItem) {
+      const ordered = Boolean(listItem[2]);
+      const list = document.createElement(ordered ? "ol" : "ul");
+      if (ordered && listItem[2] !== "1") list.start = Number(listItem[2]);
+
+      while (i < lines.length) {
+        const item = lines[i].match(MARKDOWN_LIST_ITEM_PATTERN);
+        if (!item || Boolean(item[2]) !== ordered) break;
+        const element = document.createElement("li");
+        appendMarkdownInline(element, item[3]);
+        list.appendChild(element);
+        i++;
+      }
+      fragment.appendChild(list);
+      continue;
+    }
+
+    // Paragraph: consecutive plain lines, keeping the line breaks
+    const paragraph = document.createElement("p");
+    const paragraphLines = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !/^\s*(```|~~~|#{1,6}\s)/.test(lines[i]) &&
+      !MARKDOWN_LIST_ITEM_PATTERN.test(lines[i])
+    ) {
+      paragraphLines.push(lines[i]);
+      i++;
+    }
+    paragraphLines.forEach((paragraphLine, index) => {
+      if (index > 0) paragraph.appendChild(document.createElement("br"));
+      appendMarkdownInline(paragraph, paragraphLine);
+    });
+    fragment.appendChild(paragraph);
+  }
+
+  return fragment;
+}
+
+/**
+ * Appends a line of inline Markdown to an element
+ * @param {Element} parent - The element to fill
+ * @param {string} text - The inline Markdown
+ */
+function appendMarkdownInline(parent, text) {
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MARKDOWN_INLINE_PATTERN)) {
+    if (match.index > lastIndex) {
+      parent.appendChild(
+        document.createTextNode(text.slice(lastIndex, match.index))
+      );
+    }
+
+    const [, code, bold, boldAlt, italic, italicAlt, linkText, linkUrl] = match;
+    if (code !== undefined) {
+      const element = document.createElement("code");
+      element.className = "md-inline-code";
+      element.textContent = code;
+      parent.appendChild(element);
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      const element = document.createElement("strong");
+      appendMarkdownInline(element, bold !== undefined ? bold : boldAlt);
+      parent.appendChild(element);
+    } else if (italic !== undefined || italicAlt !== undefined) {
+      const element = document.createElement("em");
+      appendMarkdownInline(element, italic !== undefined ? italic : italicAlt);
+      parent.appendChild(element);
+    } else {
+      const element = document.createElement("a");
+      element.href = linkUrl;
+      element.target = "_blank";
+      element.rel = "noopener noreferrer";
+      element.textContent = linkText;
+      parent.appendChild(element);
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+  }
+}
+
+/**
+ * Reduces Markdown to plain text that reads well aloud
+ * Markers are dropped, code blocks are replaced by a short mention, and
+ * headings and list items end in a period so the voice pauses after them
+ * @param {string} text - The Markdown text
+ * @returns {string} The speakable text, one block per line
+ */
+function renderMarkdownAsSpeech(text) {
+  const lines = String(text).replace(/\r\n/g, "\n").split("\n");
+  const spoken = [];
+  let openFence = null;
+
+  lines.forEach((line) => {
+    if (openFence) {
+      if (line.trim().startsWith(openFence)) openFence = null;
+      return;
+    }
+
+    const fence = line.match(/^\s*(```|~~~)\s*([\w+#-]*)\s*$/);
+    if (fence) {
+      openFence = fence[1];
+      spoken.push(MARKDOWN_SPOKEN_CODE_BLOCK);
+      return;
+    }
+
+    const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+    const listItem = line.match(MARKDOWN_LIST_ITEM_PATTERN);
+    let words = line;
+    if (heading) {
+      words = heading[1];
+    } else if (listItem) {
+      words = listItem[2] ? `${listItem[2]}. ${listItem[3]}` : listItem[3];
+    }
+
+    words = words
+      .replace(
+        MARKDOWN_INLINE_PATTERN,
+        (match, code, bold, boldAlt, italic, italicAlt, linkText) =>
+          [code, bold, boldAlt, italic, italicAlt, linkText].find(
+            (part) => part !== undefined
+          )
+      )
+      .trim();
+    if (!words) return;
+
+    if ((heading || listItem) && !/[.!?:;,]$/.test(words)) {
+      words += ".";
+    }
+    spoken.push(words);
+  });
+
+  return spoken.join("\n");
+}
+
+/**
+ * Creates a monospace code block with a copy button
+ * @param {string} code - The code
+ * @param {string} language - The language named on the fence, if any
+ * @returns {HTMLDivElement} The code block
+ */
+function createMarkdownCodeBlock(code, language) {
+  const block = document.createElement("div");
+  block.className = "md-code-block";
+
+  const header = document.createElement("div");
+  header.className = "md-code-header";
+
+  const label = document.createElement("span");
+  label.textContent = language || "code";
+
+  const copyButton = document.createElement("button");
+  copyButton.className = "md-code-copy";
+  copyButton.textContent = "Copy";
+  copyButton.title = "Copy code";
+  copyButton.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      copyButton.textContent = "Copied";
+    } catch (error) {
+      console.error("Failed to copy code:", error);
+      copyButton.textContent = "Failed";
+    }
+    setTimeout(() => {
+      copyButton.textContent = "Copy";
+    }, 1500);
+  });
+
+  header.append(label, copyButton);
+
+  const pre = document.createElement("pre");
+  const codeElement = document.createElement("code");
+  codeElement.textContent = code;
+  pre.appendChild(codeElement);
+
+  block.append(header, pre);
+  return block;
+}
@@ -0,0 +1,68 @@
+/**
+ * AI Provider Settings
+ * Which provider serves each AI capability, and how to reach custom endpoints
+ */
+
+import { getFromStorage, setInStorage } from "./chorme-storage.js";
+
+const PROVIDER_SETTINGS_KEY = "aiProviders";
+
+// Providers that can be selected for each capability
+const AI_PROVIDERS = [
+  { id: "gemini", name: "Google Gemini" },
+  { id: "openai", name: "OpenAI-compatible" },
+  { id: "mock", name: "Mock (offline demo)" },
+];
+
+// Capabilities that can each use a different provider
+const AI_CAPABILITIES = ["chat", "tts", "stt"];
+
+const DEFAULT_PROVIDER_SETTINGS = {
+  chat: "gemini",
+  tts: "gemini",
+  stt: "gemini",
+  openai: {
+    baseUrl: "https://api.openai.com/v1",
+    apiKey: "",
+    chatModel: "gpt-4o-mini",
+    ttsModel: "gpt-4o-mini-tts",
+    ttsVoice: "alloy",
+    sttModel: "whisper-1",
+  },
+};
+
+/**
+ * Gets the provider settings merged over the defaults
+ * @returns {Promise<Object>} The provider settings
+ */
+async function getProviderSettings() {
+  const stored = (await getFromStorage(PROVIDER_SETTINGS_KEY)) || {};
+  return {
+    ...DEFAULT_PROVIDER_SETTINGS,
+    ...stored,
+    openai: { ...DEFAULT_PROVIDER_SETTINGS.openai, ...stored.openai },
+  };
+}
+
+/**
+ * Saves changes to the provider settings
+ * @param {Object} changes - Top-level fields to overwrite, "openai" is merged
+ * @returns {Promise<Object>} The updated provider settings
+ */
+async function updateProviderSettings(changes) {
+  const current = await getProviderSettings();
+  const updated = {
+    ...current,
+    ...changes,
+    openai: { ...current.openai, ...changes.openai },
+  };
+  await setInStorage(PROVIDER_SETTINGS_KEY, updated);
+  return updated;
+}
+
+export {
+  AI_PROVIDERS,
+  AI_CAPABILITIES,
+  getProviderSettings,
+  updateProviderSettings,
+};
@@ -0,0 +1,260 @@
+/**
+ * Interview Session Store
+ * Keeps one interview session per problem attempt in chrome.storage
+ *
+ * Sessions live in the "interviewSessions" map, keyed by an id made of the
+ * problem slug and the session start time. "activeSessionId" points at the
+ * session the interviewer is currently running, if any.
+ *
+ * Every write is a read-merge-write of the whole map, so writes hold the
+ * "interviewSessions" Web Lock, which the popup and the background share.
+ */
+
+import { getFromStorage, setInStorage } from "./chorme-storage.js";
+
+const SESSIONS_KEY = "interviewSessions";
+const ACTIVE_SESSION_KEY = "activeSessionId";
+
+/**
+ * Runs a session write while no other context is writing sessions
+ * The lock is not reentrant, so the task must not call another locked function
+ * @param {Function} task - Async function doing the read-merge-write
+ * @returns {Promise<*>} The task's result
+ */
+function withSessionLock(task) {
+  return navigator.locks.request(SESSIONS_KEY, task);
+}
+
+/**
+ * Merges changes into a session of a loaded session map
+ * @param {Object} sessions - Map of session id to session
+ * @param {string} sessionId - The session id
+ * @param {Object|Function} changes - Fields to overwrite, or a function
+ *   computing them from the current session
+ * @returns {Object|null} The updated session, or null when the function
+ *   returned null to leave the session unchanged
+ * @throws {Error} When the session does not exist
+ */
+function mergeSessionChanges(sessions, sessionId, changes) {
+  const session = sessions[sessionId];
+  if (!session) {
+    throw new Error("Interview session not found");
+  }
+
+  const fields = typeof changes === "function" ? changes(session) : changes;
+  if (!fields) {
+    return null;
+  }
+
+  sessions[sessionId] = {
+    ...session,
+    ...fields,
+    updatedAt: new Date().toISOString(),
+  };
+  return sessions[sessionId];
+}
+
+/**
+ * Gets every stored session keyed by id
+ * @returns {Promise<Object>} Map of session id to session
+ */
+async function getAllSessions() {
+  return (await getFromStorage(SESSIONS_KEY)) || {};
+}
+
+/**
+ * Lists all stored sessions, most recent first
+ * @returns {Promise<Array>} The sessions sorted by start time
+ */
+async function listSessions() {
+  const sessions = await getAllSessions();
+  return Object.values(sessions).sort((a, b) =>
+    b.startedAt.localeCompare(a.startedAt)
+  );
+}
+
+/**
+ * Gets a single session
+ * @param {string} sessionId - The session id
+ * @returns {Promise<Object|null>} The session, or null if it does not exist
+ */
+async function getSession(sessionId) {
+  const sessions = await getAllSessions();
+  return sessions[sessionId] || null;
+}
+
+/**
+ * Creates a new session for a problem
+ * @param {Object} problem - The problem the session is about
+ * @param {string} problem.slug - URL slug identifying the problem
+ * @param {string} problem.title - Human readable problem title
+ * @param {string} problem.url - Link to the problem page
+ * @param {string} [problem.site] - Id of the practice site, such as "leetcode"
+ * @param {Object} [problem.details] - Statement, examples, constraints, difficulty and tags read from the page
+ * @param {Object} [options]
+ * @param {boolean} [options.activate=true] - Whether to make it the active session
+ * @returns {Promise<Object>} The created session
+ */
+async function createSession(problem, { activate = true } = {}) {
+  const startedAt = new Date();
+  const session = {
+    id: `${problem.slug}-${startedAt.getTime()}`,
+    problemSlug: problem.slug,
+    problemTitle: problem.title,
+    problemUrl: problem.url,
+    site: problem.site || null,
+    problemDetails: problem.details || null,
+    title: problem.title,
+    status: "ended",
+    startedAt: startedAt.toISOString(),
+    updatedAt: startedAt.toISOString(),
+    endedAt: null,
+    history: [],
+    contextSummary: null,
+    scorecard: null,
+  };
+
+  await withSessionLock(async () => {
+    const sessions = await getAllSessions();
+    sessions[session.id] = session;
+    await setInStorage(SESSIONS_KEY, sessions);
+  });
+
+  if (activate) {
+    return setActiveSession(session.id);
+  }
+  return session;
+}
+
+/**
+ * Merges changes into a stored session
+ * Changes that depend on the stored session, such as appending to a list,
+ * should be passed as a function so they see the latest write
+ * @param {string} sessionId - The session id
+ * @param {Object|Function} changes - Fields to overwrite, or a function
+ *   computing them from the current session that may return null to skip
+ *   the write
+ * @returns {Promise<Object|null>} The updated session, or null when skipped
+ * @throws {Error} When the session does not exist
+ */
+async function updateSession(sessionId, changes) {
+  return withSessionLock(async () => {
+    const sessions = await getAllSessions();
+    const session = mergeSessionChanges(sessions, sessionId, changes);
+    if (session) {
+      await setInStorage(SESSIONS_KEY, sessions);
+    }
+    return session;
+  });
+}
+
+/**
+ * Renames a session
+ * @param {string} sessionId - The session id
+ * @param {string} title - The new title
+ * @returns {Promise<Object>} The updated session
+ */
+async function renameSession(sessionId, title) {
+  if (!title || !title.trim()) {
+    throw new Error("Session title must be a non-empty string");
+  }
+  return updateSession(sessionId, { title: title.trim() });
+}
+
+/**
+ * Deletes a session, ending it first if it is active
+ * @param {string} sessionId - The session id
+ * @returns {Promise<void>}
+ */
+async function deleteSession(sessionId) {
+  await withSessionLock(async () => {
+    if ((await getActiveSessionId()) === sessionId) {
+      await setInStorage(ACTIVE_SESSION_KEY, null);
+    }
+
+    const sessions = await getAllSessions();
+    delete sessions[sessionId];
+    await setInStorage(SESSIONS_KEY, sessions);
+  });
+}
+
+/**
+ * Gets the id of the session the interviewer is running
+ * @returns {Promise<string|null>} The active session id
+ */
+async function getActiveSessionId() {
+  return (await getFromStorage(ACTIVE_SESSION_KEY)) || null;
+}
+
+/**
+ * Gets the session the interviewer is running
+ * @returns {Promise<Object|null>} The active session, or null if none
+ */
+async function getActiveSession() {
+  const sessionId = await getActiveSessionId();
+  return sessionId ? getSession(sessionId) : null;
+}
+
+/**
+ * Makes a session the active one, ending whichever session was active before
+ * @param {string} sessionId - The session to activate
+ * @returns {Promise<Object>} The activated session
+ */
+async function setActiveSession(sessionId) {
+  return withSessionLock(async () => {
+    const sessions = await getAllSessions();
+    const previousId = await getActiveSessionId();
+    if (previousId && previousId !== sessionId && sessions[previousId]) {
+      mergeSessionChanges(sessions, previousId, {
+        status: "ended",
+        endedAt: new Date().toISOString(),
+      });
+    }
+
+    const session = mergeSessionChanges(sessions, sessionId, {
+      status: "active",
+      endedAt: null,
+    });
+    await setInStorage(SESSIONS_KEY, sessions);
+    await setInStorage(ACTIVE_SESSION_KEY, sessionId);
+    return session;
+  });
+}
+
+/**
+ * Ends a session and clears it as the active one
+ * @param {string} sessionId - The session to end
+ * @returns {Promise<Object|null>} The ended session, or null if it no longer exists
+ */
+async function endSession(sessionId) {
+  return withSessionLock(async () => {
+    if ((await getActiveSessionId()) === sessionId) {
+      await setInStorage(ACTIVE_SESSION_KEY, null);
+    }
+
+    const sessions = await getAllSessions();
+    if (!sessions[sessionId]) {
+      return null;
+    }
+
+    const session = mergeSessionChanges(sessions, sessionId, {
+      status: "ended",
+      endedAt: new Date().toISOString(),
+    });
+    await setInStorage(SESSIONS_KEY, sessions);
+    return session;
+  });
+}
+
+export {
+  listSessions,
+  getSession,
+  createSession,
+  updateSession,
+  renameSession,
+  deleteSession,
+  getActiveSessionId,
+  getActiveSession,
+  setActiveSession,
+  endSession,
+};
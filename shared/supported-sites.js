@@ -0,0 +1,48 @@
+/**
+ * Supported Sites
+ * The practice sites the interviewer runs on, for extension pages that
+ * cannot reach the content script's site adapters
+ *
+ * Keep the patterns in step with the content script matches in the
+ * manifest and each adapter's isProblemPage().
+ */
+
+const SUPPORTED_SITES = [
+  {
+    id: "leetcode",
+    name: "LeetCode",
+    pattern: /^https:\/\/leetcode\.com\/problems\/[^/]+/,
+  },
+  {
+    id: "hackerrank",
+    name: "HackerRank",
+    pattern: /^https:\/\/www\.hackerrank\.com\/challenges\/[^/]+/,
+  },
+  {
+    id: "codeforces",
+    name: "Codeforces",
+    pattern:
+      /^https:\/\/codeforces\.com\/(?:problemset|contest\/\d+|gym\/\d+)\/problem\//,
+  },
+  {
+    id: "codesignal",
+    name: "CodeSignal",
+    pattern: /^https:\/\/app\.codesignal\.com\/.*\/(?:question|task)\/[^/]+/,
+  },
+  {
+    id: "neetcode",
+    name: "NeetCode",
+    pattern: /^https:\/\/neetcode\.io\/problems\/[^/]+/,
+  },
+];
+
+/**
+ * Finds the supported site a URL shows a problem on
+ * @param {string} url - The page URL
+ * @returns {Object|null} The site, or null when the page is not a supported problem
+ */
+function findProblemSite(url) {
+  return SUPPORTED_SITES.find((site) => site.pattern.test(url || "")) || null;
+}
+
+export { SUPPORTED_SITES, findProblemSite };
@@ -0,0 +1,337 @@
+/**
+ * Transcript Export
+ * Turns a stored interview session into a Markdown transcript, a JSON
+ * document or a self-contained printable HTML report
+ *
+ * Relies on the shared/conversation-turns.js globals, which the popup loads
+ * before its modules.
+ */
+
+import { SNAPSHOT_REASONS, rebuildCodeSnapshots } from "./code-history.js";
+
+// Export formats with the file extension and MIME type of the download
+const EXPORT_FORMATS = {
+  markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  html: { label: "HTML report", extension: "html", mimeType: "text/html" },
+};
+
+// Speaker names used in the transcripts
+const ROLE_NAMES = { user: "Candidate", model: "Interviewer" };
+
+/**
+ * Gets the words of a turn as the candidate experienced them
+ * @param {Object} entry - A session history entry
+ * @returns {string} The turn text, cut short if the reply was interrupted
+ */
+function getTurnText(entry) {
+  return entry.interrupted
+    ? `${entry.spokenText} … (interrupted)`
+    : getTurnWords(entry);
+}
+
+/**
+ * Formats a stored ISO date for display
+ * @param {string|null|undefined} isoDate - The stored date
+ * @returns {string} The local date and time, or an empty string
+ */
+function formatDate(isoDate) {
+  return isoDate ? new Date(isoDate).toLocaleString() : "";
+}
+
+/**
+ * Lists the facts shown at the top of every export
+ * @param {Object} session - The session
+ * @returns {Array<[string, string]>} Label and value pairs, empty values left out
+ */
+function getSessionFacts(session) {
+  return [
+    ["Problem", session.problemTitle],
+    ["URL", session.problemUrl],
+    ["Started", formatDate(session.startedAt)],
+    ["Ended", formatDate(session.endedAt)],
+    ["Hints used", session.hints ? String(session.hints.length) : ""],
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Describes when and why a code snapshot was taken
+ * @param {Object} session - The session
+ * @param {Object} snapshot - A rebuilt code snapshot
+ * @returns {string} Minutes into the interview, reason and lines changed
+ */
+function describeSnapshot(session, snapshot) {
+  const minutes =
+    (Date.parse(snapshot.timestamp) - Date.parse(session.startedAt)) / 60000;
+  return `${minutes.toFixed(1)} min · ${
+    SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason
+  } · +${snapshot.added}/-${snapshot.removed} lines`;
+}
+
+/**
+ * Builds a Markdown transcript of a session
+ * @param {Object} session - The session
+ * @returns {string} The Markdown document
+ */
+function exportSessionAsMarkdown(session) {
+  const lines = [`# ${session.title}`, ""];
+  getSessionFacts(session).forEach(([label, value]) => {
+    lines.push(`- **${label}:** ${value}`);
+  });
+
+  if (session.scorecard) {
+    const scorecard = session.scorecard;
+    lines.push(
+      "",
+      "## Scorecard",
+      "",
+      `**${scorecard.verdict} · ${scorecard.overallScore}/5**`,
+      "",
+      scorecard.summary,
+      ""
+    );
+    scorecard.categories.forEach((category) => {
+      lines.push(
+        `### ${category.name} — ${category.score}/5`,
+        "",
+        category.justification,
+        ""
+      );
+      category.improvements.forEach((tip) => lines.push(`- ${tip}`));
+      if (category.improvements.length > 0) lines.push("");
+    });
+  }
+
+  lines.push("", "## Transcript", "");
+  getConversationTurns(session).forEach((entry) => {
+    const time = entry.timestamp
+      ? ` (${new Date(entry.timestamp).toLocaleTimeString()})`
+      : "";
+    lines.push(
+      `**${ROLE_NAMES[entry.role] || entry.role}**${time}:`,
+      "",
+      getTurnText(entry),
+      ""
+    );
+  });
+
+  const snapshots = rebuildCodeSnapshots(session.codeSnapshots);
+  if (snapshots.length > 0) {
+    const final = snapshots[snapshots.length - 1];
+    lines.push("## Code evolution", "");
+    snapshots.forEach((snapshot) => {
+      lines.push(`- ${describeSnapshot(session, snapshot)}`);
+    });
+    lines.push(
+      "",
+      "Final code:",
+      "",
+      "```" + final.language,
+      final.code,
+      "```",
+      ""
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Builds a machine-readable JSON document of a session
+ * @param {Object} session - The session
+ * @returns {string} The JSON document
+ */
+function exportSessionAsJson(session) {
+  return JSON.stringify(
+    {
+      id: session.id,
+      title: session.title,
+      status: session.status,
+      problem: {
+        slug: session.problemSlug,
+        title: session.problemTitle,
+        url: session.problemUrl,
+        details: session.problemDetails || null,
+      },
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      turns: getConversationTurns(session).map((entry) => ({
+        role: entry.role,
+        speaker: ROLE_NAMES[entry.role] || entry.role,
+        timestamp: entry.timestamp || null,
+        text: getTurnWords(entry),
+        interrupted: Boolean(entry.interrupted),
+        spokenText: entry.interrupted ? entry.spokenText : undefined,
+      })),
+      plan: session.plan || null,
+      phaseLog: session.phaseLog || [],
+      hints: session.hints || [],
+      scorecard: session.scorecard,
+      codeSnapshots: session.codeSnapshots || [],
+      exportedAt: new Date().toISOString(),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - The raw text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Builds a self-contained printable HTML report of a session
+ * @param {Object} session - The session
+ * @returns {string} The HTML document
+ */
+function exportSessionAsHtml(session) {
+  const facts = getSessionFacts(session)
+    .map(
+      ([label, value]) =>
+        `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`
+    )
+    .join("");
+
+  const scorecard = session.scorecard
+    ? `<section>
+      <h2>Scorecard</h2>
+      <p class="overall">${escapeHtml(
+        session.scorecard.verdict
+      )} · ${escapeHtml(session.scorecard.overallScore)}/5</p>
+      <p>${escapeHtml(session.scorecard.summary)}</p>
+      ${session.scorecard.categories
+        .map(
+          (category) => `<h3>${escapeHtml(category.name)} — ${escapeHtml(
+            category.score
+          )}/5</h3>
+      <p>${escapeHtml(category.justification)}</p>
+      <ul>${category.improvements
+        .map((tip) => `<li>${escapeHtml(tip)}</li>`)
+        .join("")}</ul>`
+        )
+        .join("")}
+    </section>`
+    : "";
+
+  const turns = getConversationTurns(session)
+    .map(
+      (entry) => `<div class="turn ${escapeHtml(entry.role)}">
+        <div class="speaker">${escapeHtml(
+          ROLE_NAMES[entry.role] || entry.role
+        )}${
+        entry.timestamp
+          ? ` <time>${escapeHtml(
+              new Date(entry.timestamp).toLocaleTimeString()
+            )}</time>`
+          : ""
+      }</div>
+        <div class="text">${escapeHtml(getTurnText(entry))}</div>
+      </div>`
+    )
+    .join("");
+
+  const snapshots = rebuildCodeSnapshots(session.codeSnapshots);
+  const codeEvolution =
+    snapshots.length > 0
+      ? `<section>
+      <h2>Code evolution</h2>
+      ${snapshots
+        .map(
+          (snapshot, index) => `<details${
+            index === snapshots.length - 1 ? " open" : ""
+          }>
+        <summary>${escapeHtml(describeSnapshot(session, snapshot))}</summary>
+        <pre>${escapeHtml(snapshot.code)}</pre>
+      </details>`
+        )
+        .join("")}
+    </section>`
+      : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(session.title)}</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 800px; margin: 32px auto; padding: 0 16px; color: #202124; line-height: 1.5; }
+      dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; }
+      dt { font-weight: 600; }
+      dd { margin: 0; word-break: break-all; }
+      .overall { font-size: 18px; font-weight: 700; }
+      .turn { margin: 12px 0; padding: 8px 12px; border-radius: 8px; break-inside: avoid; }
+      .turn.user { background: #e8f0fe; }
+      .turn.model { background: #f1f3f4; }
+      .speaker { font-weight: 600; margin-bottom: 4px; }
+      .speaker time { font-weight: 400; color: #5f6368; font-size: 12px; }
+      .text { white-space: pre-wrap; }
+      details { margin: 6px 0; }
+      summary { cursor: pointer; }
+      pre { background: #f1f3f4; padding: 8px 12px; border-radius: 8px; overflow-x: auto; }
+      @media print { details > pre { display: block; } }
+      @media print { body { margin: 0; } }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(session.title)}</h1>
+    <dl>${facts}</dl>
+    ${scorecard}
+    <section>
+      <h2>Transcript</h2>
+      ${turns}
+    </section>
+    ${codeEvolution}
+  </body>
+</html>
+`;
+}
+
+/**
+ * Exports a session in one of the EXPORT_FORMATS
+ * @param {Object} session - The session
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {{fileName: string, mimeType: string, content: string}} The file to save
+ * @throws {Error} When the format is unknown
+ */
+function exportSession(session, format) {
+  const exporters = {
+    markdown: exportSessionAsMarkdown,
+    json: exportSessionAsJson,
+    html: exportSessionAsHtml,
+  };
+  if (!exporters[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const baseName = session.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  const date = session.startedAt.slice(0, 10);
+
+  return {
+    fileName: `${baseName || "interview"}-${date}.${
+      EXPORT_FORMATS[format].extension
+    }`,
+    mimeType: EXPORT_FORMATS[format].mimeType,
+    content: exporters[format](session),
+  };
+}
+
+export {
+  EXPORT_FORMATS,
+  exportSessionAsMarkdown,
+  exportSessionAsJson,
+  exportSessionAsHtml,
+  exportSession,
+};
@@ -0,0 +1,83 @@
+/**
+ * Voice Settings
+ * Gemini prebuilt voices and the user's speech preferences for text-to-speech
+ */
+
+import { getFromStorage } from "./chorme-storage.js";
+
+// Gemini prebuilt voices with a short description of each
+const GEMINI_VOICES = [
+  { name: "Zephyr", description: "Bright" },
+  { name: "Puck", description: "Upbeat" },
+  { name: "Charon", description: "Informative" },
+  { name: "Kore", description: "Firm" },
+  { name: "Fenrir", description: "Excitable" },
+  { name: "Leda", description: "Youthful" },
+  { name: "Orus", description: "Firm" },
+  { name: "Aoede", description: "Breezy" },
+  { name: "Callirrhoe", description: "Easy-going" },
+  { name: "Autonoe", description: "Bright" },
+  { name: "Enceladus", description: "Breathy" },
+  { name: "Iapetus", description: "Clear" },
+  { name: "Umbriel", description: "Easy-going" },
+  { name: "Algieba", description: "Smooth" },
+  { name: "Despina", description: "Smooth" },
+  { name: "Erinome", description: "Clear" },
+  { name: "Algenib", description: "Gravelly" },
+  { name: "Rasalgethi", description: "Informative" },
+  { name: "Laomedeia", description: "Upbeat" },
+  { name: "Achernar", description: "Soft" },
+  { name: "Alnilam", description: "Firm" },
+  { name: "Schedar", description: "Even" },
+  { name: "Gacrux", description: "Mature" },
+  { name: "Pulcherrima", description: "Forward" },
+  { name: "Achird", description: "Friendly" },
+  { name: "Zubenelgenubi", description: "Casual" },
+  { name: "Vindemiatrix", description: "Gentle" },
+  { name: "Sadachbia", description: "Lively" },
+  { name: "Sadaltager", description: "Knowledgeable" },
+  { name: "Sulafat", description: "Warm" },
+];
+
+const DEFAULT_VOICE = "Kore"; // Default voice if none selected
+const DEFAULT_SPEECH_RATE = 1; // Multiplier, 1 is a natural pace
+const DEFAULT_SPEECH_STYLE = "clear and natural";
+
+// Line spoken when previewing a voice
+const VOICE_PREVIEW_TEXT =
+  "Hi, I'll be your interviewer today. Whenever you're ready, walk me through how you'd approach this problem.";
+
+/**
+ * Gets the voice, speaking rate and style chosen in the popup
+ * @returns {Promise<{voiceName: string, speechRate: number, speechStyle: string}>} The voice settings
+ */
+async function getVoiceSettings() {
+  return {
+    voiceName: (await getFromStorage("voiceName")) || DEFAULT_VOICE,
+    speechRate: (await getFromStorage("speechRate")) || DEFAULT_SPEECH_RATE,
+    speechStyle: (await getFromStorage("speechStyle")) || DEFAULT_SPEECH_STYLE,
+  };
+}
+
+/**
+ * Describes a speaking rate in words, for prompt-driven TTS models
+ * @param {number} rate - Speaking rate multiplier
+ * @returns {string} A pace description
+ */
+function describeSpeechRate(rate) {
+  if (rate <= 0.75) return "slowly and deliberately";
+  if (rate < 1) return "at a relaxed pace";
+  if (rate >= 1.5) return "quickly";
+  if (rate > 1) return "at a brisk pace";
+  return "at a natural pace";
+}
+
+export {
+  GEMINI_VOICES,
+  DEFAULT_VOICE,
+  DEFAULT_SPEECH_RATE,
+  DEFAULT_SPEECH_STYLE,
+  VOICE_PREVIEW_TEXT,
+  getVoiceSettings,
+  describeSpeechRate,
+};